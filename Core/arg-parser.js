@@ -0,0 +1,386 @@
+/**
+ * Typed argument parsing for command handlers.
+ *
+ * A command may declare an argument schema next to its `usage`:
+ *
+ *   args: [
+ *       { name: 'lang', type: 'string', optional: true },
+ *       { name: 'text', type: 'string', rest: true }
+ *   ],
+ *   flags: {
+ *       limit: { type: 'number', alias: 'l', default: 5 },
+ *       hd: { type: 'boolean' }
+ *   }
+ *
+ * Input is tokenized with quote support ("two words", 'single'), `--flag`,
+ * `--flag=value`, `--no-flag`, `-l 5` and `key=value` for declared flags.
+ * A quote opens only at the start of a word and closes before a space, so
+ * the apostrophe in I'm is plain text. A `rest` argument takes the remaining
+ * input verbatim, untokenized, so flags must come before it. Supported
+ * types: string, number, integer, boolean, jid, duration (1h30m, 45s, 2d)
+ * and url. `choices` restricts a value to a list, `pattern` (a RegExp)
+ * checks its format and `min`/`max` bound numbers and durations.
+ */
+
+class ArgumentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ArgumentError';
+    }
+}
+
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Index of the quote closing the one at `open`: the first `quote` followed by
+// whitespace or the end of input, or -1. So "two words" is one token while
+// the apostrophes in I'm or don't stay ordinary characters.
+function findClosingQuote(input, open, quote) {
+    for (let i = input.indexOf(quote, open + 1); i !== -1; i = input.indexOf(quote, i + 1)) {
+        if (input[i - 1] === '\\') continue;
+        if (i + 1 >= input.length || /\s/.test(input[i + 1])) return i;
+    }
+    return -1;
+}
+
+// The token starting at or after `from`, or null at the end of input
+function readToken(input, from) {
+    let i = from;
+    while (i < input.length && /\s/.test(input[i])) i++;
+    if (i >= input.length) return null;
+
+    const start = i;
+    let value = '';
+    let quoted = false;
+
+    while (i < input.length && !/\s/.test(input[i])) {
+        const ch = input[i];
+        // A quote opens only at the start of a token or right after `=` (--flag="a b")
+        const opens = (ch === '"' || ch === "'") && (i === start || input[i - 1] === '=');
+        const end = opens ? findClosingQuote(input, i, ch) : -1;
+        if (end !== -1) {
+            value += input.slice(i + 1, end).replace(/\\(["'\\])/g, '$1');
+            quoted = quoted || i === start;
+            i = end + 1;
+        } else {
+            value += ch;
+            i++;
+        }
+    }
+
+    return { value, quoted, start, end: i };
+}
+
+function tokenize(input) {
+    const tokens = [];
+    for (let token = readToken(input, 0); token; token = readToken(input, token.end)) {
+        tokens.push(token);
+    }
+    return tokens;
+}
+
+function parseDuration(value) {
+    const text = String(value).trim().toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Math.round(parseFloat(text) * DURATION_UNITS.s);
+    }
+
+    const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g;
+    let total = 0;
+    let consumed = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        total += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+        consumed += match[0].length;
+    }
+
+    if (consumed === 0 || consumed !== text.length) {
+        return null;
+    }
+    return Math.round(total);
+}
+
+function parseJid(value) {
+    const text = String(value).trim();
+    if (/@(s\.whatsapp\.net|g\.us|lid|newsletter|broadcast)$/.test(text)) {
+        return text;
+    }
+
+    const digits = text.replace(/^@/, '').replace(/[\s+\-()]/g, '');
+    if (/^\d{5,20}$/.test(digits)) {
+        return `${digits}@s.whatsapp.net`;
+    }
+    return null;
+}
+
+function coerce(value, spec, label) {
+    const type = spec.type || 'string';
+    let result;
+
+    switch (type) {
+        case 'string':
+            result = String(value);
+            break;
+
+        case 'number':
+            result = Number(value);
+            if (value === '' || !Number.isFinite(result)) {
+                throw new ArgumentError(`${label} must be a number`);
+            }
+            break;
+
+        case 'integer':
+            result = Number(value);
+            if (value === '' || !Number.isInteger(result)) {
+                throw new ArgumentError(`${label} must be a whole number`);
+            }
+            break;
+
+        case 'boolean': {
+            if (typeof value === 'boolean') {
+                result = value;
+                break;
+            }
+            const text = String(value).toLowerCase();
+            if (['true', 'yes', 'on', '1'].includes(text)) result = true;
+            else if (['false', 'no', 'off', '0'].includes(text)) result = false;
+            else throw new ArgumentError(`${label} must be on/off`);
+            break;
+        }
+
+        case 'jid':
+            result = parseJid(value);
+            if (!result) {
+                throw new ArgumentError(`${label} must be a phone number or @mention`);
+            }
+            break;
+
+        case 'duration':
+            result = parseDuration(value);
+            if (result === null) {
+                throw new ArgumentError(`${label} must be a duration like 30s, 5m or 1h30m`);
+            }
+            break;
+
+        case 'url':
+            try {
+                const url = new URL(String(value));
+                if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+                result = url.href;
+            } catch {
+                throw new ArgumentError(`${label} must be a valid http(s) URL`);
+            }
+            break;
+
+        default:
+            throw new ArgumentError(`Unknown argument type '${type}' for ${label}`);
+    }
+
+    if (typeof result === 'number') {
+        if (spec.min !== undefined && result < spec.min) {
+            throw new ArgumentError(`${label} must be at least ${spec.min}`);
+        }
+        if (spec.max !== undefined && result > spec.max) {
+            throw new ArgumentError(`${label} must be at most ${spec.max}`);
+        }
+    }
+
+    if (spec.pattern instanceof RegExp && !spec.pattern.test(String(result))) {
+        throw new ArgumentError(`${label} has an invalid format`);
+    }
+
+    if (Array.isArray(spec.choices)) {
+        const normalized = typeof result === 'string' ? result.toLowerCase() : result;
+        if (!spec.choices.includes(normalized)) {
+            throw new ArgumentError(`${label} must be one of: ${spec.choices.join(', ')}`);
+        }
+        result = normalized;
+    }
+
+    return result;
+}
+
+function findFlag(flags, name) {
+    if (Object.prototype.hasOwnProperty.call(flags, name)) {
+        return name;
+    }
+    return Object.keys(flags).find(key => flags[key].alias === name) || null;
+}
+
+/**
+ * Parse raw argument text against a command's `args`/`flags` schema.
+ * @param {string} input - Text after the command name.
+ * @param {object} schema - `{ args, flags }` taken from the command.
+ * @param {object} [options]
+ * @param {string[]} [options.mentions] - Mentioned JIDs, used to fill missing `jid` arguments.
+ * @returns {object} Parsed values keyed by argument/flag name, plus `_` for extra tokens.
+ */
+function parseArgs(input, schema = {}, options = {}) {
+    const argSpecs = Array.isArray(schema.args) ? schema.args : [];
+    const flagSpecs = schema.flags || {};
+    const mentions = [...(options.mentions || [])];
+    input = input || '';
+
+    const result = { _: [] };
+    let specIndex = 0;
+    let restStart = null;
+    let flagsDone = false;
+
+    for (const [name, spec] of Object.entries(flagSpecs)) {
+        if (spec.default !== undefined) result[name] = spec.default;
+        else if ((spec.type || 'boolean') === 'boolean') result[name] = false;
+    }
+
+    // Assign a positional token to the next argument that accepts it. An
+    // optional argument that does not fit its type or pattern is skipped,
+    // so `.tr hello` leaves <lang> unset and hands "hello" to <text>.
+    const assign = (token) => {
+        while (specIndex < argSpecs.length) {
+            const spec = argSpecs[specIndex];
+            if (spec.rest) {
+                restStart = token;
+                return;
+            }
+
+            specIndex++;
+            const label = `<${spec.name}>`;
+            if (!spec.optional) {
+                result[spec.name] = coerce(token.value, spec, label);
+                return;
+            }
+            try {
+                result[spec.name] = coerce(token.value, spec, label);
+                return;
+            } catch (error) {
+                if (spec.default !== undefined) result[spec.name] = spec.default;
+            }
+        }
+        result._.push(token.value);
+    };
+
+    // Read one token at a time; once a `rest` argument starts, the remaining input is never tokenized
+    let position = 0;
+    for (let token = readToken(input, 0); token && !restStart; token = readToken(input, position)) {
+        position = token.end;
+        const { value } = token;
+
+        if (!flagsDone && !token.quoted) {
+            if (value === '--') {
+                flagsDone = true;
+                continue;
+            }
+
+            let flagName = null;
+            let inline;
+
+            if (value.startsWith('--')) {
+                const body = value.slice(2);
+                const eq = body.indexOf('=');
+                const key = eq === -1 ? body : body.slice(0, eq);
+                inline = eq === -1 ? undefined : body.slice(eq + 1);
+
+                const negated = key.startsWith('no-') ? findFlag(flagSpecs, key.slice(3)) : null;
+                if (negated) {
+                    if ((flagSpecs[negated].type || 'boolean') !== 'boolean') {
+                        throw new ArgumentError(`--${key} is only valid for on/off flags`);
+                    }
+                    result[negated] = false;
+                    continue;
+                }
+
+                flagName = findFlag(flagSpecs, key);
+                if (!flagName) {
+                    throw new ArgumentError(`Unknown option --${key}`);
+                }
+            } else if (/^-[a-zA-Z]$/.test(value)) {
+                flagName = findFlag(flagSpecs, value.slice(1));
+                if (!flagName) {
+                    throw new ArgumentError(`Unknown option ${value}`);
+                }
+            } else if (/^[a-zA-Z][\w-]*=/.test(value)) {
+                const eq = value.indexOf('=');
+                const declared = findFlag(flagSpecs, value.slice(0, eq));
+                if (declared) {
+                    flagName = declared;
+                    inline = value.slice(eq + 1);
+                }
+            }
+
+            if (flagName) {
+                const spec = flagSpecs[flagName];
+                const type = spec.type || 'boolean';
+                let raw = inline;
+
+                if (raw === undefined) {
+                    if (type === 'boolean') {
+                        raw = true;
+                    } else {
+                        const next = readToken(input, position);
+                        if (!next) {
+                            throw new ArgumentError(`Option --${flagName} needs a value`);
+                        }
+                        raw = next.value;
+                        position = next.end;
+                    }
+                }
+
+                result[flagName] = coerce(raw, { ...spec, type }, `--${flagName}`);
+                continue;
+            }
+        }
+
+        assign(token);
+    }
+
+    for (; specIndex < argSpecs.length; specIndex++) {
+        const spec = argSpecs[specIndex];
+        const label = `<${spec.name}>`;
+
+        if (spec.rest) {
+            let text = restStart ? input.slice(restStart.start).trim() : '';
+            if (restStart && restStart.quoted && restStart.end === input.trimEnd().length) {
+                text = restStart.value;
+            }
+
+            if (text) {
+                result[spec.name] = coerce(text, spec, label);
+            } else if (spec.default !== undefined) {
+                result[spec.name] = spec.default;
+            } else if (!spec.optional) {
+                throw new ArgumentError(`Missing ${label}`);
+            }
+            continue;
+        }
+
+        if (spec.type === 'jid' && mentions.length > 0) {
+            result[spec.name] = mentions.shift();
+        } else if (spec.default !== undefined) {
+            result[spec.name] = spec.default;
+        } else if (!spec.optional) {
+            throw new ArgumentError(`Missing ${label}`);
+        }
+    }
+
+    if (result._.length > 0 && schema.strict) {
+        throw new ArgumentError(`Unexpected argument: ${result._[0]}`);
+    }
+
+    return result;
+}
+
+/**
+ * Whether a command declares an argument schema.
+ * @param {object} handler - Registered command handler.
+ * @returns {boolean}
+ */
+function hasSchema(handler) {
+    return !!handler && (Array.isArray(handler.args) || (handler.flags && typeof handler.flags === 'object'));
+}
+
+module.exports = { parseArgs, tokenize, parseDuration, parseJid, coerce, hasSchema, ArgumentError };
@@ -1,4 +1,4 @@
-const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion, makeCacheableSignalKeyStore, getAggregateVotesInPollMessage, isJidNewsletter, delay, proto } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion, makeCacheableSignalKeyStore, isJidNewsletter, delay, proto } = require('@whiskeysockets/baileys');
 const { Boom } = require('@hapi/boom');
 const qrcode = require('qrcode-terminal');
 const fs = require('fs-extra');
@@ -10,6 +10,12 @@ const logger = require('./logger');
 const MessageHandler = require('./message-handler');
 const { connectDb } = require('../utils/db');
 const ModuleLoader = require('./module-loader');
+const EventBus = require('./event-bus');
+const PermissionManager = require('./permissions');
+const ChatToggles = require('./chat-toggles');
+const ConfigHistory = require('./config-history');
+const PrefixManager = require('./prefixes');
+const HelpSystem = require('./help');
 const { useMongoAuthState } = require('../utils/mongoAuthState');
 const { makeInMemoryStore } = require('./store');
 const { makeMongoStore } = require('../utils/mongoStore');
@@ -22,6 +28,12 @@ class HyperWaBot {
         this.store.loadFromFile();
         this.authPath = './auth_info';
         this.messageHandler = new MessageHandler(this);
+        this.eventBus = new EventBus(this);
+        this.permissions = new PermissionManager(this);
+        this.toggles = new ChatToggles(this);
+        this.prefixes = new PrefixManager(this);
+        this.help = new HelpSystem(this);
+        this.configHistory = new ConfigHistory(this);
         this.telegramBridge = null;
         this.isShuttingDown = false;
         this.db = null;
@@ -68,6 +80,12 @@ class HyperWaBot {
             process.exit(1);
         }
 
+        await this.permissions.init();
+        await this.toggles.init();
+        await this.prefixes.init();
+        await this.help.init();
+        await this.configHistory.init();
+
         if (config.get('telegram.enabled')) {
             try {
                 const TelegramBridge = require('../telegram/bridge');
@@ -172,6 +190,9 @@ class HyperWaBot {
             // Bind store
             this.store.bind(this.sock.ev);
 
+            // Forward socket events to module hooks
+            this.eventBus.bind(this.sock.ev);
+
             // Process events
             this.sock.ev.process(async (events) => {
                 if (events['connection.update']) {
@@ -226,18 +247,6 @@ class HyperWaBot {
                     await saveCreds();
                 }
 
-                if (events['labels.association']) {
-                    logger.info('📋 Label association update:', events['labels.association']);
-                }
-
-                if (events['labels.edit']) {
-                    logger.info('📝 Label edit update:', events['labels.edit']);
-                }
-
-                if (events.call) {
-                    logger.info('📞 Call event received:', events.call);
-                }
-
                 if (events['messaging-history.set']) {
                     const { chats, contacts, messages, isLatest, progress, syncType } = events['messaging-history.set'];
                     if (syncType === proto.HistorySync.HistorySyncType.ON_DEMAND) {
@@ -282,31 +291,19 @@ class HyperWaBot {
                     }
                 }
 
+                if (events['group-participants.update']) {
+                    // Promotions and demotions change who counts as groupAdmin
+                    this.permissions.invalidateGroup(events['group-participants.update'].id);
+                }
+
                 if (events['messages.update']) {
                     logger.debug('Messages update:', JSON.stringify(events['messages.update'], null, 2));
-                    for (const { key, update } of events['messages.update']) {
-                        if (update.pollUpdates) {
-                            const pollCreation = this.messageStore.get(key.id);
-                            if (pollCreation) {
-                                logger.info('📊 Poll update received, aggregation:', 
-                                    getAggregateVotesInPollMessage({
-                                        message: { message: pollCreation },
-                                        pollUpdates: update.pollUpdates,
-                                    })
-                                );
-                            }
-                        }
-                    }
                 }
 
                 if (events['message-receipt.update']) {
                     logger.debug('📨 Message receipt update:', events['message-receipt.update']);
                 }
 
-                if (events['messages.reaction']) {
-                    logger.info('😀 Message reactions:', events['messages.reaction']);
-                }
-
                 if (events['presence.update']) {
                     logger.debug('👤 Presence update:', events['presence.update']);
                 }
@@ -325,10 +322,6 @@ class HyperWaBot {
                         }
                     }
                 }
-
-                if (events['chats.delete']) {
-                    logger.info('🗑️ Chats deleted:', events['chats.delete']);
-                }
             });
 
         } catch (error) {
@@ -396,7 +389,7 @@ class HyperWaBot {
                               `🔥 *HyperWa Features Active:*\n` +
                               `• 🤖 Telegram Bridge: ${config.get('telegram.enabled') ? '✅' : '❌'}\n` +
                               `• 🔄 Auto Replies: ${this.doReplies ? '✅' : '❌'}\n` +
-                              `Type *${config.get('bot.prefix')}help* for available commands!`;
+                              `Type *${this.prefixes.primary()}help* for available commands!`;
 
         try {
             await this.sendMessage(owner, { text: startupMessage });
@@ -439,6 +432,9 @@ class HyperWaBot {
             }
         }
 
+        this.moduleLoader.stopWatching();
+        await config.close();
+
         // Cleanup store
         if (this.store && typeof this.store.cleanup === 'function') {
             await this.store.cleanup();
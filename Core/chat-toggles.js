@@ -0,0 +1,122 @@
+const logger = require('./logger');
+
+// Always reachable, otherwise a chat could lock itself out
+const PROTECTED_COMMANDS = ['enable', 'disable', 'help'];
+
+/**
+ * Per-chat and global switches for modules and commands.
+ *
+ * Stored in the `chat_toggles` collection, one document per scope:
+ *   { _id: '<chatId>' | 'global', modules: [...], commands: [...] }
+ * A module or command is off in a chat when either the chat or the global
+ * document lists it. Disabling a module also silences its message hooks.
+ */
+class ChatToggles {
+    constructor(bot) {
+        this.bot = bot;
+        this.collection = null;
+        this.scopes = new Map(); // scope -> { modules: Set, commands: Set }
+    }
+
+    async init() {
+        if (!this.bot.db) {
+            logger.warn('⚠️ No database, enable/disable settings will not persist');
+            return;
+        }
+
+        this.collection = this.bot.db.collection('chat_toggles');
+        const docs = await this.collection.find({}).toArray();
+
+        for (const doc of docs) {
+            this.scopes.set(doc._id, {
+                modules: new Set(doc.modules || []),
+                commands: new Set(doc.commands || [])
+            });
+        }
+
+        logger.info(`🎚️ Chat toggles loaded for ${this.scopes.size} scopes`);
+    }
+
+    isProtected(command) {
+        return PROTECTED_COMMANDS.includes(command);
+    }
+
+    getScope(scope) {
+        if (!this.scopes.has(scope)) {
+            this.scopes.set(scope, { modules: new Set(), commands: new Set() });
+        }
+        return this.scopes.get(scope);
+    }
+
+    /**
+     * @param {string} scope - Chat id or 'global'.
+     * @param {'modules'|'commands'} type
+     * @param {string} name
+     * @param {boolean} disabled
+     * @returns {Promise<boolean>} false when nothing changed.
+     */
+    async set(scope, type, name, disabled) {
+        const entry = this.getScope(scope);
+        const changed = disabled ? !entry[type].has(name) : entry[type].has(name);
+        if (!changed) return false;
+
+        disabled ? entry[type].add(name) : entry[type].delete(name);
+
+        if (entry.modules.size === 0 && entry.commands.size === 0) {
+            this.scopes.delete(scope);
+        }
+        await this.save(scope);
+
+        logger.info(`🎚️ ${disabled ? 'Disabled' : 'Enabled'} ${type.slice(0, -1)} ${name} (${scope})`);
+        return true;
+    }
+
+    disable(scope, type, name) {
+        return this.set(scope, type, name, true);
+    }
+
+    enable(scope, type, name) {
+        return this.set(scope, type, name, false);
+    }
+
+    async save(scope) {
+        if (!this.collection) return;
+        const entry = this.scopes.get(scope);
+
+        if (!entry) {
+            await this.collection.deleteOne({ _id: scope });
+        } else {
+            await this.collection.updateOne(
+                { _id: scope },
+                { $set: { modules: [...entry.modules], commands: [...entry.commands], updatedAt: new Date() } },
+                { upsert: true }
+            );
+        }
+    }
+
+    isModuleDisabled(chatId, moduleName) {
+        if (!moduleName) return false;
+        return [chatId, 'global'].some(scope => this.scopes.get(scope)?.modules.has(moduleName));
+    }
+
+    /**
+     * @param {string} chatId
+     * @param {string} command - The command's own name, not an alias.
+     * @param {string} [moduleName] - Owning module, so a disabled module covers its commands.
+     */
+    isCommandDisabled(chatId, command, moduleName) {
+        if (this.isProtected(command)) return false;
+        if (this.isModuleDisabled(chatId, moduleName)) return true;
+        return [chatId, 'global'].some(scope => this.scopes.get(scope)?.commands.has(command));
+    }
+
+    list(scope) {
+        const entry = this.scopes.get(scope);
+        return {
+            modules: [...(entry?.modules || [])],
+            commands: [...(entry?.commands || [])]
+        };
+    }
+}
+
+module.exports = ChatToggles;
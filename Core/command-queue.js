@@ -0,0 +1,128 @@
+const logger = require('./logger');
+
+class JobAbortedError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'JobAbortedError';
+        this.reason = reason; // 'timeout' | 'cancelled'
+    }
+}
+
+/**
+ * Runs work in order within a chat and concurrently across chats, and keeps
+ * track of running commands so they can time out or be cancelled. A command
+ * waiting for a prompt reply releases its place, so one user's open prompt
+ * does not hold up everyone else in a group.
+ */
+class CommandQueue {
+    constructor() {
+        this.chains = new Map();
+        this.slots = new Map(); // slot key -> releases of tasks queued under it
+        this.jobs = new Map();
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Queue a task behind everything already queued for the chat.
+     * @param {string} chatId
+     * @param {Function} task - Async function to run.
+     * @param {string} [slotKey] - Lets release(slotKey) move the chat's queue on
+     *   before the task ends, e.g. the id of the message being handled.
+     * @returns {Promise<*>} Settles with the task's own result.
+     */
+    enqueue(chatId, task, slotKey = null) {
+        const previous = this.chains.get(chatId) || Promise.resolve();
+        const run = previous.then(task);
+
+        let release = null;
+        const released = new Promise(resolve => { release = resolve; });
+        const tail = Promise.race([run.catch(() => {}), released]);
+
+        if (slotKey) {
+            this.slots.set(slotKey, [...(this.slots.get(slotKey) || []), release]);
+            run.catch(() => {}).then(() => {
+                const rest = (this.slots.get(slotKey) || []).filter(fn => fn !== release);
+                if (rest.length > 0) this.slots.set(slotKey, rest);
+                else this.slots.delete(slotKey);
+            });
+        }
+
+        this.chains.set(chatId, tail);
+        tail.then(() => {
+            if (this.chains.get(chatId) === tail) {
+                this.chains.delete(chatId);
+            }
+        });
+
+        return run;
+    }
+
+    /**
+     * Let the rest of the chat's queue run while the task queued under
+     * `slotKey` keeps going, e.g. while it waits for a reply to a prompt.
+     */
+    release(slotKey) {
+        const releases = this.slots.get(slotKey);
+        if (!releases) return;
+        this.slots.delete(slotKey);
+        releases.forEach(release => release());
+    }
+
+    pendingChats() {
+        return this.chains.size;
+    }
+
+    /**
+     * Run a command with an AbortSignal and an optional timeout.
+     * @param {object} info - `{ chatId, command, user }` describing the job.
+     * @param {Function} fn - `(signal) => Promise`.
+     * @param {number} [timeout] - Milliseconds; 0 or less disables it.
+     */
+    async run(info, fn, timeout = 0) {
+        const controller = new AbortController();
+        const job = {
+            id: this.nextJobId++,
+            ...info,
+            controller,
+            startedAt: Date.now()
+        };
+        this.jobs.set(job.id, job);
+
+        let timer = null;
+        const aborted = new Promise((_, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+        aborted.catch(() => {});
+
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                controller.abort(new JobAbortedError('timeout', `Timed out after ${Math.round(timeout / 1000)}s`));
+            }, timeout);
+        }
+
+        try {
+            return await Promise.race([fn(controller.signal), aborted]);
+        } finally {
+            clearTimeout(timer);
+            this.jobs.delete(job.id);
+        }
+    }
+
+    getJobs(chatId) {
+        return [...this.jobs.values()].filter(job => !chatId || job.chatId === chatId);
+    }
+
+    /**
+     * Abort a running job.
+     * @param {object} job - Entry from getJobs().
+     * @param {string} [by] - Who asked, for the log.
+     */
+    cancel(job, by = 'unknown') {
+        if (!this.jobs.has(job.id)) return false;
+        job.controller.abort(new JobAbortedError('cancelled', `Cancelled by ${by}`));
+        logger.info(`🛑 Cancelled .${job.command} in ${job.chatId} (requested by ${by})`);
+        return true;
+    }
+}
+
+module.exports = { CommandQueue, JobAbortedError };
@@ -0,0 +1,125 @@
+const logger = require('./logger');
+const config = require('../config');
+
+// Kept in memory when there is no database
+const MEMORY_LIMIT = 200;
+
+/**
+ * Audit trail of config writes, so a bad `.config set` can be traced and
+ * undone.
+ *
+ * Stored in the `config_history` collection, one document per write:
+ *   { _id: <number>, action: 'set'|'delete'|'clear'|'rollback', key, value,
+ *     oldValue, oldSource, by, at, rollbackOf? }
+ * Every Config write is recorded, whoever makes it; `by` is the user when the
+ * write came from a command and 'system' otherwise.
+ */
+class ConfigHistory {
+    constructor(bot) {
+        this.bot = bot;
+        this.collection = null;
+        this.entries = []; // newest first, without a database
+        this.nextId = 1;
+        this.pending = Promise.resolve();
+        this.onWrite = (entry) => {
+            this.pending = this.pending
+                .then(() => this.record(entry))
+                .catch(error => logger.error(`❌ Could not record config change: ${error.message}`));
+        };
+    }
+
+    async init() {
+        if (this.bot.db) {
+            this.collection = this.bot.db.collection('config_history');
+            await this.collection.createIndex({ key: 1, _id: -1 });
+            const [last] = await this.collection.find({}).sort({ _id: -1 }).limit(1).toArray();
+            this.nextId = last ? last._id + 1 : 1;
+        } else {
+            logger.warn('⚠️ No database, config history will not persist');
+        }
+
+        config.on('write', this.onWrite);
+        logger.info(`📜 Config history ready (next #${this.nextId})`);
+    }
+
+    stop() {
+        config.off('write', this.onWrite);
+    }
+
+    async record({ action, key, value, oldValue, oldSource, by, rollbackOf }) {
+        const entry = {
+            _id: this.nextId++,
+            action,
+            key,
+            value,
+            oldValue,
+            oldSource: oldSource || 'default',
+            by: by || 'system',
+            at: new Date()
+        };
+        if (rollbackOf) entry.rollbackOf = rollbackOf;
+
+        if (this.collection) {
+            await this.collection.insertOne(entry);
+        } else {
+            this.entries.unshift(entry);
+            this.entries.length = Math.min(this.entries.length, MEMORY_LIMIT);
+        }
+        return entry;
+    }
+
+    // Writes already made but still being saved
+    async flush() {
+        await this.pending;
+    }
+
+    /**
+     * Latest changes, newest first.
+     * @param {string} [key] - Only this key and the keys under it.
+     * @param {number} [limit]
+     */
+    async list(key = null, limit = 10) {
+        await this.flush();
+        const under = key ? new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\.|$)`, 'i') : null;
+
+        if (this.collection) {
+            const query = under ? { key: { $regex: under } } : {};
+            return this.collection.find(query).sort({ _id: -1 }).limit(limit).toArray();
+        }
+        return this.entries.filter(entry => !under || under.test(entry.key)).slice(0, limit);
+    }
+
+    async get(id) {
+        await this.flush();
+        if (this.collection) {
+            return this.collection.findOne({ _id: id });
+        }
+        return this.entries.find(entry => entry._id === id) || null;
+    }
+
+    /**
+     * Put a key back the way it was before change `id`: the old value, or no
+     * override at all when it came from the defaults, file or environment.
+     * @returns {Promise<object>} The entry undone.
+     * @throws {Error} For an unknown id or a `clear`.
+     */
+    async rollback(id, by) {
+        const entry = await this.get(id);
+        if (!entry) {
+            throw new Error(`No config change #${id}`);
+        }
+        if (entry.action === 'clear') {
+            throw new Error(`#${id} cleared every setting and cannot be rolled back`);
+        }
+
+        const meta = { by, action: 'rollback', rollbackOf: id };
+        if (['mongo', 'runtime'].includes(entry.oldSource)) {
+            await config.set(entry.key, entry.oldValue, meta);
+        } else {
+            await config.delete(entry.key, meta);
+        }
+        return entry;
+    }
+}
+
+module.exports = ConfigHistory;
@@ -0,0 +1,210 @@
+const helpers = require('../utils/helpers');
+const { ArgumentError } = require('./arg-parser');
+const { validateValue } = require('./module-config');
+
+const bool = { type: 'boolean' };
+const text = { type: 'string' };
+const ms = { type: 'integer', min: 0, description: 'milliseconds' };
+// Intervals and waits that 0 would turn into a busy loop or an instant timeout
+const interval = { ...ms, min: 1000 };
+const count = { type: 'integer', min: 1 };
+const chatId = { type: 'string', pattern: /^-?\d+$/ };
+const size = { type: 'string', pattern: /^\d+(KB|MB|GB)$/i };
+const numbers = { type: 'list', items: 'string', pattern: /^\d{5,20}$/ };
+
+/**
+ * Types of the core settings, in the format of a module's configSchema.
+ * `.config set` and imports are checked against it, so `features.mode privte`
+ * is refused instead of locking everyone out. Module settings live under
+ * `modules.<name>` and are checked by ModuleConfig; a key found in neither
+ * needs --force.
+ */
+const CONFIG_SCHEMA = {
+    'bot.name': text,
+    'bot.company': text,
+    'bot.prefix': { type: 'list', items: 'string', pattern: /^\S{1,3}$/, single: true },
+    'bot.version': text,
+    'bot.owner': { type: 'jid' },
+    'bot.clearAuthOnStart': bool,
+
+    'auth.useMongoAuth': bool,
+    'auth.useMongoConfig': bool,
+    'auth.clearAuthOnStart': bool,
+
+    'admins': numbers,
+
+    'features.mode': { type: 'string', choices: ['public', 'private'] },
+    'features.customModules': bool,
+    'features.rateLimiting': bool,
+    'features.autoReply': bool,
+    'features.autoViewStatus': bool,
+    'features.autoReactStatus': bool,
+    'features.statusReaction': text,
+    'features.statusViewDelay': ms,
+    'features.telegramBridge': bool,
+    'features.respondToUnknownCommands': bool,
+    'features.autoRunSuggestion': bool,
+    'features.sendPermissionError': bool,
+    'features.promptTimeout': interval,
+    'features.commandTimeout': ms,
+    'features.watchModules': bool,
+    'features.sandboxCustomModules': bool,
+
+    'mongo.uri': { type: 'string', secret: true },
+    'mongo.dbName': text,
+    'mongo.options': { type: 'object' },
+    'mongo.configPollInterval': interval,
+
+    'telegram.enabled': bool,
+    'telegram.botToken': { type: 'string', secret: true },
+    'telegram.botPassword': { type: 'string', secret: true },
+    'telegram.chatId': chatId,
+    'telegram.logChannel': chatId,
+    'telegram.features.topics': bool,
+    'telegram.features.mediaSync': bool,
+    'telegram.features.profilePicSync': bool,
+    'telegram.features.callLogs': bool,
+    'telegram.features.readReceipts': bool,
+    'telegram.features.statusSync': bool,
+    'telegram.features.biDirectional': bool,
+    'telegram.features.welcomeMessage': bool,
+    'telegram.features.sendOutgoingMessages': bool,
+    'telegram.features.presenceUpdates': bool,
+    'telegram.features.animatedStickers': bool,
+
+    'middleware.order': { type: 'list', items: 'string' },
+    // The permissions middleware always runs, see Core/middleware.js
+    'middleware.disabled': { type: 'list', items: 'string', excludes: ['permissions'] },
+
+    'assistant.enabled': bool,
+    'assistant.learningMode': bool,
+    'assistant.suggestionThreshold': { type: 'number' },
+
+    'help.defaultStyle': { type: 'integer', choices: [1, 2] },
+    'help.defaultShow': { type: 'string', choices: ['description', 'usage', 'none'] },
+    'help.pageSize': count,
+
+    'logging.level': { type: 'string', choices: ['debug', 'info', 'warn', 'error'] },
+    'logging.saveToFile': bool,
+    'logging.maxFileSize': size,
+    'logging.maxFiles': count,
+
+    'store.useMongoStore': bool,
+    'store.filePath': text,
+    'store.autoSave': bool,
+    'store.autoSaveInterval': ms,
+    'store.cacheSize': count,
+
+    'moduleStorage.backend': { type: 'string', choices: ['mongo', 'file'] },
+    'moduleStorage.filePath': text,
+
+    'security.blockedUsers': numbers,
+    'security.maxFileSize': size,
+    'security.maxFiles': count,
+
+    'messages.autoReplyText': text,
+    'messages.welcomeText': text,
+    'messages.goodbyeText': text,
+    'messages.errorText': text
+};
+
+const KEYS = Object.keys(CONFIG_SCHEMA);
+
+// Schema key written with any case, e.g. FEATURES.Mode
+function canonicalKey(key) {
+    return KEYS.find(known => known.toLowerCase() === key.toLowerCase()) || null;
+}
+
+function isSection(key) {
+    const prefix = `${key.toLowerCase()}.`;
+    return KEYS.some(known => known.toLowerCase().startsWith(prefix));
+}
+
+// Closest known key, for "did you mean"; `extra` adds keys such as module settings
+function suggestKey(key, extra = []) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const known of [...KEYS, ...extra]) {
+        const distance = helpers.levenshtein(key.toLowerCase(), known.toLowerCase());
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+// Text typed in chat: JSON when it parses, otherwise the text itself
+function parseText(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+function validateLeaf(key, spec, value) {
+    if (spec.type === 'object') {
+        const parsed = parseText(value);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new ArgumentError(`${key} must be a JSON object`);
+        }
+        return parsed;
+    }
+
+    if (spec.type === 'list') {
+        const parsed = parseText(value);
+        const list = validateValue(spec, Array.isArray(parsed) ? parsed : value, key);
+        const refused = list.find(item => spec.excludes?.includes(item));
+        if (refused !== undefined) {
+            throw new ArgumentError(`${key} cannot include ${refused}`);
+        }
+        // `single` lists keep one value as it is: bot.prefix '.' stays '.'
+        return spec.single && !Array.isArray(parsed) && list.length === 1 ? list[0] : list;
+    }
+    return validateValue(spec, value, key);
+}
+
+/**
+ * Check a core setting and convert it to its type. Whole sections such as
+ * `features` take a JSON object whose keys are checked one by one. Module
+ * settings are checked by ModuleConfig before this; a `modules.*` key that
+ * reaches here was not declared by any loaded module.
+ * @param {string} key
+ * @param {*} value - Text from chat or a value from an import.
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Accept keys the schema does not know.
+ * @param {string[]} [options.moduleKeys] - Declared module settings, for "did you mean".
+ * @returns {{key: string, value: *}} The key as the schema spells it and the converted value.
+ * @throws {ArgumentError}
+ */
+function validateSetting(key, value, options = {}) {
+    const known = canonicalKey(key);
+    if (known) {
+        return { key: known, value: validateLeaf(known, CONFIG_SCHEMA[known], value) };
+    }
+
+    if (isSection(key)) {
+        const section = KEYS.find(k => k.toLowerCase().startsWith(`${key.toLowerCase()}.`)).slice(0, key.length);
+        const parsed = parseText(value);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new ArgumentError(`${section} is a section; set one of its keys or give a JSON object`);
+        }
+
+        const result = {};
+        for (const [child, childValue] of Object.entries(parsed)) {
+            result[child] = validateSetting(`${section}.${child}`, childValue, options).value;
+        }
+        return { key: section, value: result };
+    }
+
+    if (options.force) {
+        return { key, value: parseText(value) };
+    }
+
+    const suggestion = suggestKey(key, options.moduleKeys);
+    throw new ArgumentError(`Unknown setting ${key}${suggestion ? `. Did you mean ${suggestion}?` : ''} (--force sets it anyway)`);
+}
+
+module.exports = { CONFIG_SCHEMA, validateSetting, suggestKey };
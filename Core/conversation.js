@@ -0,0 +1,180 @@
+const logger = require('./logger');
+const config = require('../config');
+
+class PromptError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'PromptError';
+        this.reason = reason; // 'cancelled' | 'timeout' | 'invalid'
+    }
+}
+
+/**
+ * Tracks commands waiting for a follow-up message from the same user in the
+ * same chat. While a prompt is pending, that user's next message in the chat
+ * is handed to the prompt instead of command and hook dispatch.
+ */
+class ConversationManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.pending = new Map();
+    }
+
+    getKey(msg) {
+        const chatId = msg.key.remoteJid;
+        // In private chats our own messages and the contact's share remoteJid
+        const user = msg.key.fromMe ? 'me' : (msg.key.participant || chatId);
+        return `${chatId}|${user}`;
+    }
+
+    /**
+     * Ask the author of `msg` a question and wait for their next message.
+     * @param {object} msg - The message that started the flow.
+     * @param {string} prompt - Question to send.
+     * @param {object} [options]
+     * @param {number} [options.timeout] - Milliseconds to wait (default `features.promptTimeout` or 60s).
+     * @param {Function} [options.validate] - `(text, msg) => true | string`; a string is sent back as the error.
+     * @param {Array<string|{label: string, value: *}>} [options.choices] - Numbered menu; resolves with the picked value.
+     * @param {string[]} [options.cancelWords] - Replies that abort the prompt.
+     * @param {number} [options.retries] - Invalid replies allowed before giving up.
+     * @param {boolean} [options.returnMessage] - Resolve with `{ text, msg }` instead of the text.
+     * @param {AbortSignal} [options.signal] - The command's signal; aborting it drops the prompt.
+     * @returns {Promise<*>} The reply text, the chosen value or `{ text, msg }`.
+     */
+    async ask(msg, prompt, options = {}) {
+        const { signal } = options;
+        if (signal?.aborted) {
+            throw new PromptError('cancelled', signal.reason?.message || 'Command stopped');
+        }
+
+        const chatId = msg.key.remoteJid;
+        const key = this.getKey(msg);
+        const choices = Array.isArray(options.choices)
+            ? options.choices.map(choice => (typeof choice === 'object' ? choice : { label: String(choice), value: choice }))
+            : null;
+
+        let text = prompt;
+        if (choices) {
+            text += '\n\n' + choices.map((choice, i) => `*${i + 1}.* ${choice.label}`).join('\n');
+            text += '\n\n💡 Reply with a number';
+        }
+        const cancelWords = (options.cancelWords || ['cancel', 'stop', 'exit']).map(word => word.toLowerCase());
+        text += `\n_Send *${cancelWords[0]}* to abort._`;
+
+        const previous = this.pending.get(key);
+        if (previous) {
+            previous.reject(new PromptError('cancelled', 'Prompt replaced by a newer one'));
+        }
+
+        const timeout = options.timeout ?? config.get('features.promptTimeout') ?? 60000;
+
+        // Registered before the prompt is sent, so a quick reply already finds it
+        let entry;
+        const answer = new Promise((resolve, reject) => {
+            entry = {
+                chatId,
+                choices,
+                cancelWords,
+                validate: options.validate,
+                retries: options.retries ?? 3,
+                returnMessage: !!options.returnMessage,
+                signal,
+                onAbort: () => entry.reject(new PromptError('cancelled', signal.reason?.message || 'Command stopped')),
+                resolve: (value) => {
+                    this.finish(key, entry);
+                    resolve(value);
+                },
+                reject: (error) => {
+                    this.finish(key, entry);
+                    reject(error);
+                }
+            };
+
+            entry.timer = setTimeout(() => {
+                entry.reject(new PromptError('timeout', 'Timed out waiting for a reply'));
+            }, timeout);
+
+            // A command that times out or is cancelled must not keep the user's next message
+            signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+            this.pending.set(key, entry);
+        });
+        answer.catch(() => {}); // Seen by the caller once returned; not unhandled if the send fails first
+
+        try {
+            await this.bot.sendMessage(chatId, { text });
+        } catch (error) {
+            entry.reject(error);
+            throw error;
+        }
+        return answer;
+    }
+
+    finish(key, entry) {
+        clearTimeout(entry.timer);
+        entry.signal?.removeEventListener('abort', entry.onAbort);
+        if (this.pending.get(key) === entry) {
+            this.pending.delete(key);
+        }
+    }
+
+    isWaiting(msg) {
+        return this.pending.has(this.getKey(msg));
+    }
+
+    /**
+     * Route a message to a pending prompt.
+     * @returns {Promise<boolean>} true when the message was consumed by a prompt.
+     */
+    async handle(msg, text) {
+        const entry = this.pending.get(this.getKey(msg));
+        if (!entry) return false;
+
+        const reply = (text || '').trim();
+
+        if (entry.cancelWords.includes(reply.toLowerCase())) {
+            entry.reject(new PromptError('cancelled', 'Cancelled'));
+            return true;
+        }
+
+        let value = reply;
+        let error = null;
+
+        if (entry.choices) {
+            const index = Number(reply) - 1;
+            const choice = Number.isInteger(index)
+                ? entry.choices[index]
+                : entry.choices.find(c => c.label.toLowerCase() === reply.toLowerCase());
+            if (choice) {
+                value = choice.value;
+            } else {
+                error = `Pick a number between 1 and ${entry.choices.length}`;
+            }
+        } else if (entry.validate) {
+            try {
+                const result = await entry.validate(reply, msg);
+                if (result !== true && result !== undefined) {
+                    error = typeof result === 'string' ? result : 'Invalid reply';
+                }
+            } catch (err) {
+                error = err.message;
+            }
+        }
+
+        if (error) {
+            entry.retries--;
+            if (entry.retries < 0) {
+                entry.reject(new PromptError('invalid', 'Too many invalid replies'));
+            } else {
+                await this.bot.sendMessage(entry.chatId, { text: `❌ ${error}. Try again.` });
+            }
+            return true;
+        }
+
+        logger.debug(`💬 Prompt answered in ${entry.chatId}`);
+        entry.resolve(entry.returnMessage ? { text: reply, value, msg } : value);
+        return true;
+    }
+}
+
+module.exports = { ConversationManager, PromptError };
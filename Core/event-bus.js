@@ -0,0 +1,164 @@
+const { getAggregateVotesInPollMessage, WAMessageStubType } = require('@whiskeysockets/baileys');
+const logger = require('./logger');
+
+/**
+ * Forwards Baileys socket events to module `messageHooks` with normalized payloads.
+ *
+ * Hooks receive `(payload, bot)` and every payload carries a `chatId`.
+ *
+ *   message.new               (msg, text, bot) - fired by MessageHandler for each incoming message
+ *   group.participants.update { chatId, participants: [jid], action: add|remove|promote|demote, author }
+ *   group.update              { chatId, changes }                    - subject, description, settings
+ *   message.reaction          { chatId, key, emoji, removed, sender }
+ *   message.edit              { chatId, key, sender, message, text, timestamp } - prefixed edits also re-run the command
+ *   message.revoke            { chatId, key, sender }                - deleted for everyone
+ *   message.delete            { chatId, keys, all }                  - deleted for this device
+ *   poll.update               { chatId, key, votes, updates }         - votes is null if the poll is unknown
+ *   call                      { id, chatId, from, status, isVideo, isGroup, date }
+ *   presence.update           { chatId, presences: [{ participant, presence, lastSeen }] }
+ *   label.edit                { id, name, color, deleted }
+ *   label.association         { type: add|remove, labelId, chatId, messageId }
+ *   chat.delete               { chatIds }
+ */
+class EventBus {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    bind(ev) {
+        if (!ev?.on) throw new Error('Event emitter is required for binding');
+
+        const on = (event, normalize) => {
+            ev.on(event, (data) => {
+                this.forward(event, normalize, data).catch(error => {
+                    logger.error(`Error dispatching ${event}:`, error);
+                });
+            });
+        };
+
+        on('group-participants.update', (update) => [['group.participants.update', {
+            chatId: update.id,
+            id: update.id,
+            author: update.author || null,
+            action: update.action,
+            participants: (update.participants || []).map(p => (typeof p === 'string' ? p : p.id))
+        }]]);
+
+        on('groups.update', (groups) => groups.map(({ id, ...changes }) => ['group.update', {
+            chatId: id,
+            changes
+        }]));
+
+        on('messages.reaction', (reactions) => reactions.map(({ key, reaction }) => ['message.reaction', {
+            chatId: key.remoteJid,
+            key,
+            emoji: reaction?.text || '',
+            removed: !reaction?.text,
+            sender: reaction?.key?.participant || reaction?.key?.remoteJid || null
+        }]));
+
+        on('messages.update', (updates) => updates.flatMap(({ key, update }) => this.normalizeUpdate(key, update)));
+
+        on('messages.delete', (item) => {
+            if ('all' in item) {
+                return [['message.delete', { chatId: item.jid, keys: [], all: true }]];
+            }
+            const byChat = new Map();
+            for (const key of item.keys || []) {
+                if (!byChat.has(key.remoteJid)) byChat.set(key.remoteJid, []);
+                byChat.get(key.remoteJid).push(key);
+            }
+            return [...byChat].map(([chatId, keys]) => ['message.delete', { chatId, keys, all: false }]);
+        });
+
+        on('call', (calls) => calls.map(call => ['call', {
+            id: call.id,
+            chatId: call.chatId,
+            from: call.from,
+            status: call.status,
+            isVideo: !!call.isVideo,
+            isGroup: !!call.isGroup,
+            date: call.date
+        }]));
+
+        on('presence.update', ({ id, presences }) => [['presence.update', {
+            chatId: id,
+            presences: Object.entries(presences || {}).map(([participant, info]) => ({
+                participant,
+                presence: info.lastKnownPresence,
+                lastSeen: info.lastSeen || null
+            }))
+        }]]);
+
+        on('labels.edit', (label) => [['label.edit', {
+            id: label.id,
+            name: label.name,
+            color: label.color,
+            deleted: !!label.deleted
+        }]]);
+
+        on('labels.association', ({ association, type }) => [['label.association', {
+            type,
+            labelId: association.labelId,
+            chatId: association.chatId,
+            messageId: association.messageId || null
+        }]]);
+
+        on('chats.delete', (chatIds) => [['chat.delete', { chatIds }]]);
+
+        logger.debug('📡 Event bus bound to socket events');
+    }
+
+    normalizeUpdate(key, update) {
+        const events = [];
+        const sender = key.participant || key.remoteJid;
+
+        const edited = update.message?.editedMessage?.message ||
+                       update.message?.protocolMessage?.editedMessage;
+        if (edited) {
+            events.push(['message.edit', {
+                chatId: key.remoteJid,
+                key,
+                sender,
+                message: edited,
+                text: this.bot.messageHandler.extractText({ message: edited }),
+                timestamp: update.messageTimestamp || null
+            }]);
+        }
+
+        if (update.messageStubType === WAMessageStubType.REVOKE || (update.message === null && update.messageStubType)) {
+            events.push(['message.revoke', { chatId: key.remoteJid, key, sender }]);
+        }
+
+        if (update.pollUpdates) {
+            const pollCreation = this.bot.messageStore.get(key.id);
+            events.push(['poll.update', {
+                chatId: key.remoteJid,
+                key,
+                updates: update.pollUpdates,
+                votes: pollCreation
+                    ? getAggregateVotesInPollMessage({
+                        message: { message: pollCreation },
+                        pollUpdates: update.pollUpdates
+                    })
+                    : null
+            }]);
+        }
+
+        return events;
+    }
+
+    async forward(event, normalize, data) {
+        for (const [hookName, payload] of normalize(data)) {
+            logger.debug(`📡 ${event} -> ${hookName}`);
+            await this.bot.messageHandler.executeMessageHooks(hookName, payload);
+
+            // Edited commands are re-run on top of the hook notification
+            if (hookName === 'message.edit') {
+                await this.bot.messageHandler.handleEditedMessage(payload);
+            }
+        }
+    }
+}
+
+module.exports = EventBus;
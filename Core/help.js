@@ -0,0 +1,355 @@
+const logger = require('./logger');
+const config = require('../config');
+
+const SHOW_MODES = { '1': 'description', '2': 'usage', '3': 'none' };
+
+// help.pageSize, at least one command per page; paginate() never ends on 0 or NaN
+function pageSize() {
+    return Math.max(1, parseInt(config.get('help.pageSize', 40), 10) || 40);
+}
+
+/**
+ * The `.help` command: a menu grouped by `metadata.category`, one page per
+ * module, category or command, and search.
+ *
+ * A command is listed only when the permissions middleware would let the
+ * user run it and it is not disabled in the chat. Style and display
+ * preferences are stored per user in the `help_preferences` collection:
+ *   { _id: '<userId>', style: 1|2, show: 'description'|'usage'|'none' }
+ */
+class HelpSystem {
+    constructor(bot) {
+        this.bot = bot;
+        this.collection = null;
+        this.preferences = new Map(); // userId -> { style, show }
+    }
+
+    async init() {
+        if (!this.bot.db) {
+            logger.warn('⚠️ No database, help preferences will not persist');
+            return;
+        }
+
+        this.collection = this.bot.db.collection('help_preferences');
+        const docs = await this.collection.find({}).toArray();
+        for (const doc of docs) {
+            this.preferences.set(doc._id, { style: doc.style, show: doc.show });
+        }
+
+        logger.info(`📖 Help preferences loaded for ${this.preferences.size} users`);
+    }
+
+    getPreferences(userId) {
+        const helpConfig = config.get('help') || {};
+        return {
+            style: helpConfig.defaultStyle || 1,
+            show: helpConfig.defaultShow || 'description',
+            ...this.preferences.get(userId)
+        };
+    }
+
+    async setPreference(userId, key, value) {
+        const pref = { ...this.preferences.get(userId), [key]: value };
+        this.preferences.set(userId, pref);
+
+        if (this.collection) {
+            await this.collection.updateOne(
+                { _id: userId },
+                { $set: { [key]: value, updatedAt: new Date() } },
+                { upsert: true }
+            );
+        }
+    }
+
+    // ---- Catalog ----
+
+    /**
+     * Every command with its module and category. Commands registered outside
+     * modules (`.lm`, `.install`, `.help`...) are listed under `system`.
+     * @returns {Array<{cmd: object, moduleName: ?string, category: string}>}
+     */
+    catalog() {
+        const entries = [];
+        const seen = new Set();
+
+        for (const [moduleName, info] of this.bot.moduleLoader.modules) {
+            const category = String(info.instance.metadata?.category || 'uncategorized').toLowerCase();
+            for (const cmd of Array.isArray(info.instance.commands) ? info.instance.commands : []) {
+                if (!cmd?.name || seen.has(cmd.name.toLowerCase())) continue;
+                seen.add(cmd.name.toLowerCase());
+                entries.push({ cmd, moduleName, category });
+            }
+        }
+
+        for (const [name, handler] of this.bot.messageHandler.commandHandlers) {
+            // Aliases are registered under their own name but keep the command's
+            if (!handler?.name || handler.name.toLowerCase() !== name || seen.has(name)) continue;
+            seen.add(name);
+            entries.push({ cmd: handler, moduleName: null, category: 'system' });
+        }
+
+        return entries;
+    }
+
+    // Same checks as the toggles and permissions middlewares
+    async visibleTo(msg, user, entries) {
+        const chatId = msg.key.remoteJid;
+        const { permissions, toggles } = this.bot;
+        const visible = [];
+
+        for (const entry of entries) {
+            if (toggles.isCommandDisabled(chatId, entry.cmd.name, entry.moduleName)) continue;
+            if (await permissions.canRun(msg, entry.cmd, user, entry.moduleName)) visible.push(entry);
+        }
+        return visible;
+    }
+
+    findCommand(entries, name) {
+        return entries.find(({ cmd }) => cmd.name.toLowerCase() === name) ||
+               entries.find(({ cmd }) => Array.isArray(cmd.aliases) && cmd.aliases.some(alias => String(alias).toLowerCase() === name)) ||
+               null;
+    }
+
+    /**
+     * Commands matching `query` in their name, aliases, description, module or
+     * category, best matches first.
+     */
+    search(entries, query) {
+        const q = query.toLowerCase();
+        const score = ({ cmd, moduleName, category }) => {
+            const name = cmd.name.toLowerCase();
+            if (name === q) return 5;
+            if (name.startsWith(q)) return 4;
+            if (name.includes(q)) return 3;
+            if ((cmd.aliases || []).some(alias => String(alias).toLowerCase().includes(q))) return 2;
+            if (String(cmd.description || '').toLowerCase().includes(q) ||
+                (moduleName || '').toLowerCase().includes(q) || category.includes(q)) return 1;
+            return 0;
+        };
+
+        return entries
+            .map(entry => ({ entry, score: score(entry) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.entry.cmd.name.localeCompare(b.entry.cmd.name))
+            .map(result => result.entry);
+    }
+
+    // ---- Rendering ----
+
+    renderGroup(title, entries, pref, chatId, continued = false) {
+        const { prefixes } = this.bot;
+        const heading = continued ? `${title} (cont.)` : title;
+        const line = ({ cmd }) => {
+            const info = prefixes.render(pref.show === 'usage' ? cmd.usage : cmd.description, chatId);
+            if (pref.style === 2) {
+                return pref.show === 'none' ? `  ↳ *${cmd.name}*` : `  ↳ *${cmd.name}*: ${info}`;
+            }
+            return pref.show === 'none' ? `║ *${cmd.name}*` : `║ *${cmd.name}* – ${info}`;
+        };
+
+        if (pref.style === 2) {
+            return `██▓▒░ *${heading}*\n\n${entries.map(line).join('\n')}\n`;
+        }
+        return `╔══  *${heading}* ══\n${entries.map(line).join('\n')}\n╚═══════════════`;
+    }
+
+    /**
+     * Split groups into pages of at most `pageSize` commands; a group cut in
+     * two carries on under a "(cont.)" heading.
+     * @returns {Array<Array<{title: string, entries: object[], continued: boolean}>>}
+     */
+    paginate(groups, pageSize) {
+        const pages = [];
+        let page = [];
+        let count = 0;
+
+        for (const group of groups) {
+            let rest = group.entries;
+            let continued = false;
+
+            while (rest.length > 0) {
+                if (count >= pageSize) {
+                    pages.push(page);
+                    page = [];
+                    count = 0;
+                }
+                const taken = rest.slice(0, pageSize - count);
+                page.push({ title: group.title, entries: taken, continued });
+                count += taken.length;
+                rest = rest.slice(taken.length);
+                continued = true;
+            }
+        }
+
+        if (page.length > 0) pages.push(page);
+        return pages;
+    }
+
+    renderMenu(entries, pref, chatId, pageNumber) {
+        const { prefixes } = this.bot;
+        const byCategory = new Map();
+        for (const entry of entries) {
+            if (!byCategory.has(entry.category)) byCategory.set(entry.category, []);
+            byCategory.get(entry.category).push(entry);
+        }
+
+        const groups = [...byCategory.keys()].sort().map(category => ({
+            title: category,
+            entries: byCategory.get(category)
+        }));
+        const pages = this.paginate(groups, pageSize());
+        const index = Math.min(Math.max(pageNumber, 1), Math.max(pages.length, 1)) - 1;
+
+        let text = `🤖 *${config.get('bot.name')} Help Menu*\n`;
+        text += `🔣 Prefix: ${prefixes.get(chatId).join(' ')}\n\n`;
+        text += (pages[index] || [])
+            .map(group => this.renderGroup(group.title, group.entries, pref, chatId, group.continued))
+            .join('\n\n');
+
+        if (pages.length > 1) {
+            const next = index + 1 < pages.length ? ` • .help page ${index + 2} for more` : '';
+            text += `\n\n📄 Page ${index + 1}/${pages.length}${next}`;
+        }
+        text += `\n💡 .help <command> for details • .help search <text>`;
+
+        return prefixes.render(text.trim(), chatId);
+    }
+
+    renderCommand({ cmd, moduleName, category }, chatId) {
+        const { prefixes, permissions } = this.bot;
+        const required = permissions.getRequired(cmd, moduleName || undefined);
+        const lines = [`📖 *${cmd.name}*`, ''];
+
+        if (cmd.description) lines.push(`📝 ${cmd.description}`);
+        if (cmd.usage) lines.push(`💡 Usage: \`${cmd.usage}\``);
+
+        const aliases = (cmd.aliases || []).filter(Boolean);
+        if (aliases.length) lines.push(`🔤 Aliases: ${aliases.join(', ')}`);
+
+        if (Array.isArray(cmd.args) && cmd.args.length) {
+            lines.push('🧾 Arguments:');
+            for (const arg of cmd.args) {
+                const notes = [arg.type || 'string', arg.optional ? 'optional' : null, arg.rest ? 'rest of the text' : null,
+                    arg.choices ? `one of ${arg.choices.join('/')}` : null].filter(Boolean);
+                lines.push(`  • ${arg.name} – ${notes.join(', ')}`);
+            }
+        }
+
+        if (cmd.flags && typeof cmd.flags === 'object' && Object.keys(cmd.flags).length) {
+            lines.push('🚩 Flags:');
+            for (const [name, flag] of Object.entries(cmd.flags)) {
+                const notes = [flag.type || 'boolean', flag.default !== undefined ? `default ${flag.default}` : null].filter(Boolean);
+                lines.push(`  • --${name}${flag.alias ? `, -${flag.alias}` : ''} – ${notes.join(', ')}`);
+            }
+        }
+
+        if (Array.isArray(cmd.triggers) && cmd.triggers.length) {
+            lines.push(`✨ Also runs on: ${cmd.triggers.map(t => (t instanceof RegExp ? t.toString() : `"${t}"`)).join(', ')}`);
+        }
+
+        lines.push('');
+        lines.push(`📦 Module: ${moduleName || 'core system'} (${category})`);
+        lines.push(`🔐 Permission: ${Array.isArray(required) ? required.join(', ') : required}`);
+        if (cmd.timeout) lines.push(`⏱️ Timeout: ${Math.round(cmd.timeout / 1000)}s`);
+
+        return prefixes.render(lines.join('\n'), chatId);
+    }
+
+    renderSearch(results, query, chatId) {
+        const limit = pageSize();
+        if (results.length === 0) {
+            return `🔍 No commands match *${query}*.`;
+        }
+
+        const lines = results.slice(0, limit).map(({ cmd, moduleName }) =>
+            `• *${cmd.name}* – ${cmd.description || 'No description'}${moduleName ? ` _(${moduleName})_` : ''}`);
+        if (results.length > limit) {
+            lines.push(`…and ${results.length - limit} more; try a longer search.`);
+        }
+
+        return this.bot.prefixes.render(`🔍 *Commands matching "${query}"* (${results.length})\n\n${lines.join('\n')}`, chatId);
+    }
+
+    // ---- Command ----
+
+    register() {
+        this.bot.messageHandler.registerCommandHandler('help', {
+            name: 'help',
+            description: 'Show commands by category, or help for a module, category or command',
+            usage: '.help [command|module|category] | .help search <text> | .help page <n> | .help 1|2 | .help show 1|2|3',
+            permissions: 'public',
+            execute: (msg, params, context) => this.execute(msg, params, context)
+        });
+    }
+
+    async execute(msg, params, context) {
+        const { permissions, toggles, prefixes } = this.bot;
+        const chatId = context.sender;
+        const reply = (text) => context.bot.sendMessage(chatId, { text });
+
+        const user = await permissions.resolveUser(msg);
+        const pref = this.getPreferences(user.userId);
+        const first = (params[0] || '').toLowerCase();
+
+        // `.help 1` / `.help 2` (style switch)
+        if (params.length === 1 && ['1', '2'].includes(first)) {
+            await this.setPreference(user.userId, 'style', Number(first));
+            return reply(`✅ Help style set to *${first}*`);
+        }
+
+        // `.help show 1|2|3`
+        if (first === 'show') {
+            const show = SHOW_MODES[params[1]];
+            if (!show) {
+                return reply(prefixes.render(`❌ Invalid show option.\nUse:\n.help show 1 (description)\n.help show 2 (usage)\n.help show 3 (none)`, chatId));
+            }
+            await this.setPreference(user.userId, 'show', show);
+            return reply(`✅ Help display mode set to *${show}*`);
+        }
+
+        const entries = await this.visibleTo(msg, user, this.catalog());
+
+        if (first === 'search') {
+            const query = params.slice(1).join(' ').trim();
+            if (!query) return reply(prefixes.render('❌ Usage: .help search <text>', chatId));
+            return reply(this.renderSearch(this.search(entries, query), query, chatId));
+        }
+
+        if (params.length === 0 || first === 'page') {
+            return reply(this.renderMenu(entries, pref, chatId, parseInt(params[1], 10) || 1));
+        }
+
+        // `.help <module>`
+        const moduleInfo = this.bot.moduleLoader.modules.get(first);
+        if (moduleInfo) {
+            if (toggles.isModuleDisabled(chatId, first)) {
+                return reply(prefixes.render(`🚫 Module *${first}* is disabled in this chat.\nUse *.enable ${first}* to turn it back on.`, chatId));
+            }
+            const own = entries.filter(entry => entry.moduleName === first);
+            return reply(this.renderGroup(first, own, pref, chatId).trim());
+        }
+
+        // `.help <category>`
+        const inCategory = entries.filter(entry => entry.category === first);
+        if (inCategory.length > 0) {
+            return reply(this.renderGroup(first, inCategory, pref, chatId).trim());
+        }
+
+        // `.help <command>`
+        const command = this.findCommand(entries, first);
+        if (command) {
+            return reply(this.renderCommand(command, chatId));
+        }
+
+        // Search hits, else the typo suggestions the handler gives for unknown commands
+        const hits = this.search(entries, first).slice(0, 5).map(({ cmd }) => cmd.name);
+        const suggestions = hits.length ? hits : (await this.bot.messageHandler.suggestCommands(msg, first)).map(s => s.name);
+        return reply(prefixes.render(
+            `❌ No command, module or category named *${first}*.\n` +
+            (suggestions.length ? `💡 Did you mean: ${suggestions.join(', ')}?` : 'Use *.help* to view available commands.'),
+            chatId
+        ));
+    }
+}
+
+module.exports = HelpSystem;
@@ -1,12 +1,24 @@
 const logger = require('./logger');
 const config = require('../config');
 const rateLimiter = require('./rate-limiter');
+const { parseArgs, hasSchema, ArgumentError } = require('./arg-parser');
+const MiddlewarePipeline = require('./middleware');
+const { ConversationManager, PromptError } = require('./conversation');
+const { CommandQueue, JobAbortedError } = require('./command-queue');
+const { normalizeMessage } = require('../utils/messageNormalizer');
+const helpers = require('../utils/helpers');
 
 class MessageHandler {
     constructor(bot) {
         this.bot = bot;
         this.commandHandlers = new Map();
         this.messageHooks = new Map();
+        this.middleware = new MiddlewarePipeline();
+        this.conversations = new ConversationManager(bot);
+        this.queue = new CommandQueue();
+        this.responses = new Map(); // command message id -> { text, responseKey, output }
+        this.maxTrackedResponses = 500;
+        this.registerBuiltinMiddlewares();
     }
 
     registerCommandHandler(command, handler) {
@@ -14,36 +26,131 @@ class MessageHandler {
         logger.debug(`📝 Registered command handler: ${command}`);
     }
 
-    unregisterCommandHandler(command) {
-        this.commandHandlers.delete(command.toLowerCase());
+    // With `handler`, only removes the command if that handler still owns the name
+    unregisterCommandHandler(command, handler = null) {
+        const name = command.toLowerCase();
+        if (handler && this.commandHandlers.get(name) !== handler) return;
+        this.commandHandlers.delete(name);
         logger.debug(`🗑️ Unregistered command handler: ${command}`);
     }
 
-    registerMessageHook(hookName, handler) {
+    // moduleName lets per-chat toggles silence the hook and unloading remove only that module's hooks
+    registerMessageHook(hookName, handler, moduleName = null) {
         if (!this.messageHooks.has(hookName)) {
             this.messageHooks.set(hookName, []);
         }
-        this.messageHooks.get(hookName).push(handler);
-        logger.debug(`🪝 Registered message hook: ${hookName}`);
+        this.messageHooks.get(hookName).push({ handler, module: moduleName });
+        logger.debug(`🪝 Registered message hook: ${hookName}${moduleName ? ` (${moduleName})` : ''}`);
     }
 
-    unregisterMessageHook(hookName) {
-        this.messageHooks.delete(hookName);
-        logger.debug(`🗑️ Unregistered message hook: ${hookName}`);
+    unregisterMessageHook(hookName, moduleName = null) {
+        if (moduleName) {
+            const remaining = (this.messageHooks.get(hookName) || []).filter(hook => hook.module !== moduleName);
+            remaining.length ? this.messageHooks.set(hookName, remaining) : this.messageHooks.delete(hookName);
+        } else {
+            this.messageHooks.delete(hookName);
+        }
+        logger.debug(`🗑️ Unregistered message hook: ${hookName}${moduleName ? ` (${moduleName})` : ''}`);
     }
+
     async handleMessages({ messages, type }) {
         if (type !== 'notify') return;
 
+        // Chats run concurrently; messages within a chat keep their order
         for (const msg of messages) {
-            try {
-                await this.processMessage(msg);
-} catch (error) {
-    console.error('[UNCAUGHT ERROR]', error); // Full dump
-    logger.error('Error processing message:', error?.stack || error?.message || JSON.stringify(error));
-}
+            const chatId = msg.key?.remoteJid;
+            if (!chatId) continue;
+
+            const task = this.bypassesQueue(msg)
+                ? this.processMessage(msg)
+                : this.queue.enqueue(chatId, () => this.processMessage(msg), msg.key.id);
+
+            task.catch(error => {
+                console.error('[UNCAUGHT ERROR]', error); // Full dump
+                logger.error('Error processing message:', error?.stack || error?.message || JSON.stringify(error));
+            });
+        }
+    }
+
+    // Prompt replies and `queue: false` commands (like .cancel) must not wait behind the job they target
+    bypassesQueue(msg) {
+        if (this.conversations.isWaiting(msg)) return true;
+
+        const parsed = this.parseCommand(this.extractText(msg), msg.key.remoteJid);
+        return !!parsed && this.commandHandlers.get(parsed.command)?.queue === false;
+    }
 
+    /**
+     * Split prefixed text into command and arguments using the chat's prefixes.
+     * @returns {?{prefix: string, command: string, params: string[], argText: string}} null without a prefix.
+     */
+    parseCommand(text, chatId) {
+        const prefix = this.bot.prefixes.match(text, chatId);
+        if (prefix === null) return null;
+
+        const body = text.slice(prefix.length).trim();
+        const name = body.split(/\s+/)[0];
+        const argText = body.slice(name.length).trim();
+
+        return {
+            prefix,
+            command: name.toLowerCase(),
+            params: argText ? argText.split(/\s+/) : [],
+            argText
+        };
+    }
 
+    /**
+     * First command whose `triggers` match unprefixed text.
+     * A string trigger matches the start of the message as a whole word, case-insensitively,
+     * and the rest becomes the arguments. A RegExp trigger hands its capture groups over as
+     * params and the match itself as `context.match`.
+     */
+    matchTrigger(text) {
+        if (!text) return null;
+        const lower = text.toLowerCase();
+        const seen = new Set(); // Aliases share their handler
+
+        for (const handler of this.commandHandlers.values()) {
+            if (!Array.isArray(handler.triggers) || seen.has(handler)) continue;
+            seen.add(handler);
+
+            for (const trigger of handler.triggers) {
+                if (trigger instanceof RegExp) {
+                    const match = text.match(trigger);
+                    if (!match) continue;
+
+                    const params = match.slice(1).filter(group => group !== undefined);
+                    return { handler, prefix: '', command: handler.name, params, argText: params.join(' '), match };
+                }
+
+                const keyword = String(trigger).toLowerCase();
+                if (lower !== keyword && !lower.startsWith(`${keyword} `)) continue;
+
+                const argText = text.slice(keyword.length).trim();
+                return {
+                    handler,
+                    prefix: '',
+                    command: handler.name,
+                    params: argText ? argText.split(/\s+/) : [],
+                    argText,
+                    match: null
+                };
+            }
         }
+
+        return null;
+    }
+
+    getUserKey(msg) {
+        // In private chats our own messages and the contact's share remoteJid
+        return msg.key.fromMe ? 'me' : (msg.key.participant || msg.key.remoteJid);
+    }
+
+    isOwner(msg) {
+        const participant = msg.key.participant || msg.key.remoteJid;
+        const ownerId = (config.get('bot.owner') || '').split('@')[0];
+        return msg.key.fromMe || participant.split('@')[0] === ownerId;
     }
 
     async processMessage(msg) {
@@ -54,16 +161,41 @@ class MessageHandler {
 
         // Extract text from message (including captions)
         const text = this.extractText(msg);
+
+        // An edit also arrives as a message of its own; the message.edit event
+        // re-runs an edited command (handleEditedMessage), so it must not run here too
+        if (normalizeMessage(msg).edited) {
+            if (this.bot.telegramBridge) {
+                await this.bot.telegramBridge.syncMessage(msg, text);
+            }
+            return;
+        }
+
+        // A command waiting on context.ask() takes this user's next message
+        if (await this.conversations.handle(msg, text)) {
+            if (this.bot.telegramBridge) {
+                await this.bot.telegramBridge.syncMessage(msg, text);
+            }
+            return;
+        }
         
-        // Check if it's a command (only for text messages, not media with captions)
-        const prefix = config.get('bot.prefix');
-        const isCommand = text && text.startsWith(prefix) && !this.hasMedia(msg);
-        
+        // Captions count too: `.sticker` on an image runs with that image in context.media
+        const isCommand = this.bot.prefixes.match(text, msg.key.remoteJid) !== null;
+
+        // Triggers only fire for senders allowed to run them; anyone else's message is just a message
+        let trigger = isCommand ? null : this.matchTrigger(text);
+        if (trigger && !(await this.bot.permissions.canRun(msg, trigger.handler))) {
+            trigger = null;
+        }
+
         // Execute message hooks
         await this.executeMessageHooks('pre_process', msg, text);
+        await this.executeMessageHooks('message.new', msg, text);
         
         if (isCommand) {
             await this.handleCommand(msg, text);
+        } else if (trigger) {
+            await this.handleCommand(msg, text, trigger);
         } else {
             // Handle non-command messages (including media)
             await this.handleNonCommandMessage(msg, text);
@@ -78,27 +210,23 @@ class MessageHandler {
         }
     }
 
-    async executeMessageHooks(hookName, msg, text) {
+    // Message hooks get (msg, text, bot); event hooks from the EventBus get (payload, bot)
+    async executeMessageHooks(hookName, ...args) {
         const hooks = this.messageHooks.get(hookName) || [];
-        for (const hook of hooks) {
+        const chatId = args[0]?.key?.remoteJid || args[0]?.chatId;
+        for (const { handler: hook, module } of hooks) {
+            if (chatId && this.bot.toggles?.isModuleDisabled(chatId, module)) continue;
             try {
-                await hook(msg, text, this.bot);
+                await hook(...args, this.bot);
             } catch (error) {
                 logger.error(`Error executing hook ${hookName}:`, error);
             }
         }
     }
-    // New method to check if message has media
+    // Location and contact cards count as media for non-command handling
     hasMedia(msg) {
-        return !!(
-            msg.message?.imageMessage ||
-            msg.message?.videoMessage ||
-            msg.message?.audioMessage ||
-            msg.message?.documentMessage ||
-            msg.message?.stickerMessage ||
-            msg.message?.locationMessage ||
-            msg.message?.contactMessage
-        );
+        const { hasMedia, type } = normalizeMessage(msg);
+        return hasMedia || type === 'location' || type === 'contact';
     }
 
     async handleStatusMessage(msg) {
@@ -112,153 +240,423 @@ class MessageHandler {
         }
     }
 
-async handleCommand(msg, text) {
-    const sender = msg.key.remoteJid;
-    const participant = msg.key.participant || sender;
-    const prefix = config.get('bot.prefix');
-
-    const args = text.slice(prefix.length).trim().split(/\s+/);
-    const command = args[0].toLowerCase();
-    const params = args.slice(1);
-
-    // Add presence and typing indicators for commands
-    try {
-        await this.bot.sock.readMessages([msg.key]);
-        await this.bot.sock.presenceSubscribe(sender);
-        await this.bot.sock.sendPresenceUpdate('composing', sender);
-    } catch (error) {
-        // Ignore presence errors
-    }
-
-if (!this.checkPermissions(msg, command)) {
-    if (config.get('features.sendPermissionError', false)) {
-        try {
-            await this.bot.sock.sendPresenceUpdate('paused', sender);
-        } catch (error) {
-            // Ignore presence errors
+    /**
+     * Run a command from prefixed text, or from a trigger match (see matchTrigger()).
+     * @param {object} [options]
+     * @param {string} [options.responseId] - Key its replies are tracked under, instead of
+     *   the message id; commands run several times for one message (macro steps) each need their own.
+     */
+    async handleCommand(msg, text, trigger = null, options = {}) {
+        const sender = msg.key.remoteJid;
+        const participant = msg.key.participant || sender;
+
+        const invocation = trigger || this.parseCommand(text, sender);
+        if (!invocation) return;
+        const { prefix, command, params, argText } = invocation;
+
+        const handler = trigger ? trigger.handler : this.commandHandlers.get(command);
+        if (!handler) {
+            return this.handleUnknownCommand(msg, command, prefix, argText);
         }
-        return this.bot.sendMessage(sender, {
-            text: '❌ You don\'t have permission to use this command.'
+
+        const responder = this.createResponder(msg, text, options.responseId);
+        const message = normalizeMessage(msg);
+        const media = message.media;
+        const quotedMedia = message.quoted?.media || null;
+
+        const ctx = {
+            msg,
+            text,
+            command,
+            params,
+            argText,
+            handler,
+            trigger,
+            bot: responder,
+            sender,
+            participant,
+            userId: participant.split('@')[0],
+            isGroup: sender.endsWith('@g.us'),
+            halted: false,
+            context: {
+                // Stops sending once the command is cancelled or timed out
+                bot: this.guardAborted(responder, () => ctx.context.signal),
+                sender,
+                participant,
+                isGroup: sender.endsWith('@g.us'),
+                args: null,
+                argText,
+                // Prefix to show in replies; the one typed, or the chat's main one for triggers
+                prefix: prefix || this.bot.prefixes.primary(sender),
+                match: trigger?.match || null,
+                signal: null,
+                message,
+                media,
+                quotedMedia,
+                // Attached media first, then the replied-to message; `types` filters e.g. ['image', 'video']
+                getMedia: (types) => [media, quotedMedia].find(m => m && (!types || [].concat(types).includes(m.type))) || null,
+                // The chat's other messages go on while this one waits for its reply
+                ask: (prompt, options) => {
+                    this.queue.release(msg.key.id);
+                    return this.conversations.ask(msg, prompt, { signal: ctx.context.signal, ...options });
+                }
+            }
+        };
+
+        await this.middleware.run(ctx, async () => {
+            ctx.result = await handler.execute(msg, params, ctx.context);
         });
     }
-    try {
-        await this.bot.sock.sendPresenceUpdate('paused', sender);
-    } catch (error) {
-        // Ignore presence errors
+
+    /**
+     * Re-run a command whose message was edited. The edit is ignored when the
+     * text did not change or when it is the bot writing a response into the
+     * command message itself (own commands are answered in place).
+     */
+    async handleEditedMessage({ chatId, key, message, text }) {
+        if (!this.parseCommand(text, chatId)) return;
+
+        const previous = this.responses.get(key.id);
+        if (previous && (text === previous.text || text === previous.output)) return;
+
+        logger.info(`✏️ Re-running edited command in ${chatId}: ${text}`);
+        const msg = { key, message };
+        await this.queue.enqueue(chatId, () => this.handleCommand(msg, text), key.id);
     }
-    return; // silently ignore
-}
 
-    const userId = participant.split('@')[0];
-    if (config.get('features.rateLimiting')) {
-        const canExecute = await rateLimiter.checkCommandLimit(userId);
-        if (!canExecute) {
-            const remainingTime = await rateLimiter.getRemainingTime(userId);
-            try {
-                await this.bot.sock.sendPresenceUpdate('paused', sender);
-            } catch (error) {
-                // Ignore presence errors
+    /**
+     * Bot wrapper for one command run. Text replies to the chat are remembered
+     * against the command message; when the command runs again after an edit,
+     * the first new reply edits the previous response instead of being sent.
+     */
+    createResponder(msg, text, responseId = msg.key.id) {
+        const chatId = msg.key.remoteJid;
+        const entry = this.responses.get(responseId) || { responseKey: null, output: null };
+        let editTarget = entry.responseKey;
+        entry.text = text;
+        this.rememberResponse(responseId, entry);
+
+        const sendMessage = async (jid, content, options) => {
+            const isText = jid === chatId && typeof content?.text === 'string';
+            const replaced = isText && editTarget && !content.edit ? editTarget : null;
+            if (replaced) {
+                content = { ...content, edit: replaced };
             }
-            return this.bot.sendMessage(sender, {
-                text: `⏱️ Rate limit exceeded. Try again in ${Math.ceil(remainingTime / 1000)} seconds.`
-            });
-        }
-    }
+            if (isText) editTarget = null;
+
+            const sent = await this.bot.sock.sendMessage(jid, content, options);
+
+            if (isText) {
+                const written = content.edit || sent?.key;
+                if (!entry.responseKey) entry.responseKey = written;
+                if (written?.id === entry.responseKey?.id) entry.output = content.text;
+            }
+            // Callers edit the returned key later (e.g. ⏳ → result), so hand back the original response
+            return replaced ? { ...sent, key: replaced } : sent;
+        };
 
-    const handler = this.commandHandlers.get(command);
-    const respondToUnknown = config.get('features.respondToUnknownCommands', false);
+        const sock = this.bot.sock && new Proxy(this.bot.sock, {
+            get: (target, prop) => (prop === 'sendMessage' ? sendMessage : Reflect.get(target, prop))
+        });
 
-    if (handler) {
-    try {
-        // Always add ⏳ reaction for ALL commands
-        await this.bot.sock.sendMessage(sender, {
-            react: { key: msg.key, text: '⏳' }
+        return new Proxy(this.bot, {
+            get: (target, prop) => {
+                if (prop === 'sendMessage') return sendMessage;
+                if (prop === 'sock') return sock;
+                return Reflect.get(target, prop);
+            }
         });
-    } catch (error) {
-        // Ignore reaction errors
     }
 
-    try {
-        await handler.execute(msg, params, {
-            bot: this.bot,
-            sender,
-            participant,
-            isGroup: sender.endsWith('@g.us')
+    /**
+     * Bot wrapper that refuses to send once `getSignal()` is aborted. A command
+     * that timed out or was cancelled keeps running until it returns, but the
+     * chat was already told it stopped; its next send throws the abort reason
+     * instead of reaching the chat.
+     */
+    guardAborted(bot, getSignal) {
+        const guard = (send) => (...args) => {
+            const signal = getSignal();
+            if (signal?.aborted) {
+                logger.debug(`🔇 Dropped a message from an aborted command: ${signal.reason?.message}`);
+                return Promise.reject(signal.reason);
+            }
+            return send(...args);
+        };
+
+        const sendMessage = guard((...args) => bot.sendMessage(...args));
+        const sock = bot.sock && new Proxy(bot.sock, {
+            get: (target, prop) => (prop === 'sendMessage' ? guard((...args) => target.sendMessage(...args)) : Reflect.get(target, prop))
         });
 
-        // Clear typing indicator on success
-        try {
-            await this.bot.sock.sendPresenceUpdate('paused', sender);
-        } catch (error) {
-            // Ignore presence errors
-        }
+        return new Proxy(bot, {
+            get: (target, prop) => {
+                if (prop === 'sendMessage') return sendMessage;
+                if (prop === 'sock') return sock;
+                return Reflect.get(target, prop);
+            }
+        });
+    }
 
-        // Clear reaction on success for ALL commands
-        try {
-            await this.bot.sock.sendMessage(sender, {
-                react: { key: msg.key, text: '' }
-            });
-        } catch (error) {
-            // Ignore reaction errors
+    rememberResponse(messageId, entry) {
+        this.responses.delete(messageId);
+        this.responses.set(messageId, entry);
+        if (this.responses.size > this.maxTrackedResponses) {
+            this.responses.delete(this.responses.keys().next().value);
         }
+    }
 
-        logger.info(`✅ Command executed: ${command} by ${participant}`);
+    async handleUnknownCommand(msg, command, prefix, argText = '') {
+        const sender = msg.key.remoteJid;
+        const respond = config.get('features.respondToUnknownCommands', false);
+        const autoRun = config.get('features.autoRunSuggestion', false);
+        if (!respond && !autoRun) return;
 
-        if (this.bot.telegramBridge) {
-            await this.bot.telegramBridge.logToTelegram('📝 Command Executed',
-                `Command: ${command}\nUser: ${participant}\nChat: ${sender}`);
-        }
+        const suggestions = await this.suggestCommands(msg, command);
 
-    } catch (error) {
-        // Clear typing indicator on error
-        try {
-            await this.bot.sock.sendPresenceUpdate('paused', sender);
-        } catch (error) {
-            // Ignore presence errors
+        // Only auto-run when a single command is the closest match
+        const unambiguous = suggestions.length > 0 &&
+            suggestions.filter(s => s.distance === suggestions[0].distance).length === 1;
+
+        if (autoRun && unambiguous) {
+            const name = suggestions[0].name;
+            logger.info(`🔀 Auto-running ${prefix}${name} for unknown command ${prefix}${command}`);
+            return this.handleCommand(msg, `${prefix}${name}${argText ? ` ${argText}` : ''}`);
         }
 
-        // Keep ❌ reaction on error (don't clear it)
-        try {
-            await this.bot.sock.sendMessage(sender, {
-                react: { key: msg.key, text: '❌' }
-            });
-        } catch (error) {
-            // Ignore reaction errors
+        if (!respond) return;
+
+        let text = `❓ Unknown command: ${command}`;
+        if (suggestions.length > 0) {
+            text += `\n💡 Did you mean: ${suggestions.map(s => `*${prefix}${s.name}*`).join(', ')}?`;
         }
+        text += `\nType *${prefix}help* for available commands.`;
 
-        logger.error(`❌ Command failed: ${command} | ${error.message || 'No message'}`);
-        logger.debug(error.stack || error);
+        await this.bot.sendMessage(sender, { text });
+    }
 
-        if (!error._handledBySmartError && error?.message) {
-            await this.bot.sendMessage(sender, {
-                text: `❌ Command failed: ${error.message}`
-            });
+    /**
+     * Closest registered commands and aliases the sender may run.
+     * @returns {Promise<Array<{name: string, distance: number}>>} At most three, closest first.
+     */
+    async suggestCommands(msg, command, limit = 3) {
+        // Allow one typo in short names, two in longer ones
+        const maxDistance = command.length <= 3 ? 1 : 2;
+        const user = await this.bot.permissions.resolveUser(msg);
+        const best = new Map(); // handler -> { name, distance }
+
+        for (const [name, handler] of this.commandHandlers) {
+            const distance = helpers.levenshtein(command, name);
+            if (distance > maxDistance) continue;
+
+            const current = best.get(handler);
+            if (current && current.distance <= distance) continue;
+            best.set(handler, { name, distance });
         }
 
-        if (this.bot.telegramBridge) {
-            await this.bot.telegramBridge.logToTelegram('❌ Command Error',
-                `Command: ${command}\nError: ${error.message}\nUser: ${participant}`);
+        const suggestions = [];
+        for (const [handler, match] of best) {
+            const moduleName = this.bot.moduleLoader?.getCommandModule(handler.name || match.name);
+            if (this.bot.toggles?.isCommandDisabled(msg.key.remoteJid, handler.name || match.name, moduleName)) continue;
+            if (!await this.bot.permissions.canRun(msg, handler, user)) continue;
+            suggestions.push(match);
         }
+
+        return suggestions
+            .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+            .slice(0, limit);
     }
 
+    useMiddleware(name, middleware, options = {}) {
+        this.middleware.use(name, middleware, options);
+    }
 
-    } else if (respondToUnknown) {
+    removeMiddleware(name, owner = null) {
+        this.middleware.remove(name, owner);
+    }
+
+    async setPresence(jid, presence) {
         try {
-            await this.bot.sock.sendPresenceUpdate('paused', sender);
+            await this.bot.sock.sendPresenceUpdate(presence, jid);
         } catch (error) {
             // Ignore presence errors
         }
-        await this.bot.sendMessage(sender, {
-            text: `❓ Unknown command: ${command}\nType *${prefix}menu* for available commands.`
-        });
-    } else {
+    }
+
+    async setReaction(key, emoji) {
         try {
-            await this.bot.sock.sendPresenceUpdate('paused', sender);
+            await this.bot.sock.sendMessage(key.remoteJid, {
+                react: { key, text: emoji }
+            });
         } catch (error) {
-            // Ignore presence errors
+            // Ignore reaction errors
         }
     }
-}
+
+    // The steps every command used to go through, in their original order.
+    // Each can be moved with `middleware.order` or skipped with `middleware.disabled`.
+    registerBuiltinMiddlewares() {
+        this.useMiddleware('errors', {
+            around: async (ctx, next) => {
+                try {
+                    await next();
+                } catch (error) {
+                    if (error instanceof JobAbortedError) {
+                        await ctx.bot.sendMessage(ctx.sender, {
+                            text: error.reason === 'timeout'
+                                ? `⌛ *${ctx.command}* ${error.message.toLowerCase()} and was stopped.`
+                                : `🛑 *${ctx.command}* was cancelled.`
+                        });
+                        return;
+                    }
+
+                    if (error instanceof PromptError) {
+                        await ctx.bot.sendMessage(ctx.sender, {
+                            text: error.reason === 'timeout'
+                                ? '⌛ No reply received, command cancelled.'
+                                : error.reason === 'invalid'
+                                    ? '❌ Too many invalid replies, command cancelled.'
+                                    : '❎ Command cancelled.'
+                        });
+                        return;
+                    }
+
+                    logger.error(`❌ Command failed: ${ctx.command} | ${error.message || 'No message'}`);
+                    logger.debug(error.stack || error);
+
+                    if (!error._handledBySmartError && error?.message) {
+                        await ctx.bot.sendMessage(ctx.sender, {
+                            text: `❌ Command failed: ${error.message}`
+                        });
+                    }
+
+                    if (this.bot.telegramBridge) {
+                        await this.bot.telegramBridge.logToTelegram('❌ Command Error',
+                            `Command: ${ctx.command}\nError: ${error.message}\nUser: ${ctx.participant}`);
+                    }
+                }
+            }
+        }, { priority: 0 });
+
+        this.useMiddleware('presence', {
+            around: async (ctx, next) => {
+                try {
+                    await this.bot.sock.readMessages([ctx.msg.key]);
+                    await this.bot.sock.presenceSubscribe(ctx.sender);
+                    await this.bot.sock.sendPresenceUpdate('composing', ctx.sender);
+                } catch (error) {
+                    // Ignore presence errors
+                }
+
+                try {
+                    await next();
+                } finally {
+                    await this.setPresence(ctx.sender, 'paused');
+                }
+            }
+        }, { priority: 10 });
+
+        this.useMiddleware('toggles', {
+            before: (ctx) => {
+                const name = ctx.handler.name || ctx.command;
+                const moduleName = this.bot.moduleLoader?.getCommandModule(name);
+                if (!this.bot.toggles?.isCommandDisabled(ctx.sender, name, moduleName)) return true;
+
+                logger.debug(`🎚️ Ignored disabled command ${name} in ${ctx.sender}`);
+                return false;
+            }
+        }, { priority: 5 });
+
+        this.useMiddleware('permissions', {
+            before: async (ctx) => {
+                if (await this.checkPermissions(ctx.msg, ctx.command)) return true;
+
+                if (config.get('features.sendPermissionError', false)) {
+                    await ctx.bot.sendMessage(ctx.sender, {
+                        text: '❌ You don\'t have permission to use this command.'
+                    });
+                }
+                return false;
+            }
+        }, { priority: 20 });
+
+        this.useMiddleware('rateLimit', {
+            before: async (ctx) => {
+                if (!config.get('features.rateLimiting')) return true;
+
+                const canExecute = await rateLimiter.checkCommandLimit(ctx.userId);
+                if (canExecute) return true;
+
+                const remainingTime = await rateLimiter.getRemainingTime(ctx.userId);
+                await ctx.bot.sendMessage(ctx.sender, {
+                    text: `⏱️ Rate limit exceeded. Try again in ${Math.ceil(remainingTime / 1000)} seconds.`
+                });
+                return false;
+            }
+        }, { priority: 30 });
+
+        this.useMiddleware('args', {
+            before: async (ctx) => {
+                if (!hasSchema(ctx.handler)) return true;
+
+                try {
+                    ctx.context.args = parseArgs(ctx.argText, ctx.handler, {
+                        mentions: normalizeMessage(ctx.msg).mentions
+                    });
+                    return true;
+                } catch (error) {
+                    if (!(error instanceof ArgumentError)) throw error;
+                    await ctx.bot.sendMessage(ctx.sender, {
+                        text: `❌ ${error.message}\n\n💡 Usage: \`${this.bot.prefixes.render(ctx.handler.usage, ctx.sender)}\``
+                    });
+                    return false;
+                }
+            }
+        }, { priority: 40 });
+
+        this.useMiddleware('reaction', {
+            around: async (ctx, next) => {
+                // Always add ⏳ reaction for ALL commands
+                await this.setReaction(ctx.msg.key, '⏳');
+                try {
+                    await next();
+                } catch (error) {
+                    // Keep ❌ reaction on error (don't clear it), but an abandoned prompt is not a failure
+                    await this.setReaction(ctx.msg.key, error instanceof PromptError ? '' : error instanceof JobAbortedError ? '🛑' : '❌');
+                    throw error;
+                }
+                await this.setReaction(ctx.msg.key, '');
+            }
+        }, { priority: 50 });
+
+        this.useMiddleware('timeout', {
+            around: async (ctx, next) => {
+                const timeout = ctx.handler.timeout ?? config.get('features.commandTimeout') ?? 0;
+                const job = {
+                    chatId: ctx.sender,
+                    command: ctx.command,
+                    user: this.getUserKey(ctx.msg),
+                    messageId: ctx.msg.key.id
+                };
+
+                await this.queue.run(job, (signal) => {
+                    ctx.context.signal = signal;
+                    return next();
+                }, timeout);
+            }
+        }, { priority: 55 });
+
+        this.useMiddleware('logging', {
+            after: async (ctx) => {
+                logger.info(`✅ Command executed: ${ctx.command} by ${ctx.participant}`);
+
+                if (this.bot.telegramBridge) {
+                    await this.bot.telegramBridge.logToTelegram('📝 Command Executed',
+                        `Command: ${ctx.command}\nUser: ${ctx.participant}\nChat: ${ctx.sender}`);
+                }
+            }
+        }, { priority: 60 });
+    }
 
     async handleNonCommandMessage(msg, text) {
         // Log media messages for debugging
@@ -271,62 +669,20 @@ if (!this.checkPermissions(msg, command)) {
     }
 
     getMediaType(msg) {
-        if (msg.message?.imageMessage) return 'image';
-        if (msg.message?.videoMessage) return 'video';
-        if (msg.message?.audioMessage) return 'audio';
-        if (msg.message?.documentMessage) return 'document';
-        if (msg.message?.stickerMessage) return 'sticker';
-        if (msg.message?.locationMessage) return 'location';
-        if (msg.message?.contactMessage) return 'contact';
-        return 'unknown';
+        const { hasMedia, type } = normalizeMessage(msg);
+        return hasMedia || type === 'location' || type === 'contact' ? type : 'unknown';
     }
 
-checkPermissions(msg, commandName) {
-    const participant = msg.key.participant || msg.key.remoteJid;
-    const userId = participant.split('@')[0];
-    const ownerId = config.get('bot.owner').split('@')[0]; // Convert full JID to userId
-    const isOwner = userId === ownerId || msg.key.fromMe;
-
-    const admins = config.get('bot.admins') || [];
-
-    const mode = config.get('features.mode');
-    if (mode === 'private' && !isOwner && !admins.includes(userId)) return false;
-
-    const blockedUsers = config.get('security.blockedUsers') || [];
-    if (blockedUsers.includes(userId)) return false;
-
-    const handler = this.commandHandlers.get(commandName);
-    if (!handler) return false;
+    // Roles, overrides and groupAdmin are resolved by bot.permissions (Core/permissions.js)
+    async checkPermissions(msg, commandName) {
+        const handler = this.commandHandlers.get(commandName);
+        if (!handler) return false;
 
-    const permission = handler.permissions || 'public';
-
-    switch (permission) {
-        case 'owner':
-            return isOwner;
-
-        case 'admin':
-            return isOwner || admins.includes(userId);
-
-        case 'public':
-            return true;
-
-        default:
-            if (Array.isArray(permission)) {
-                return permission.includes(userId);
-            }
-            return false;
+        return this.bot.permissions.canRun(msg, handler);
     }
-}
-
 
     extractText(msg) {
-        return msg.message?.conversation || 
-               msg.message?.extendedTextMessage?.text || 
-               msg.message?.imageMessage?.caption ||
-               msg.message?.videoMessage?.caption || 
-               msg.message?.documentMessage?.caption ||
-               msg.message?.audioMessage?.caption ||
-               '';
+        return normalizeMessage(msg).text;
     }
 }
 
@@ -0,0 +1,124 @@
+const logger = require('./logger');
+const config = require('../config');
+
+// Middleware that `middleware.disabled` cannot skip
+const REQUIRED = new Set(['permissions']);
+
+/**
+ * Composable middleware chain wrapped around command execution.
+ *
+ * A middleware is either an `around` function `(ctx, next) => {}` or an object
+ * with any of:
+ *   before(ctx)      - runs before the rest of the chain; return false to halt
+ *   around(ctx, next) - wraps the rest of the chain
+ *   after(ctx)       - runs once the rest of the chain succeeded
+ *
+ * Entries run by ascending `priority`. `middleware.order` in the config moves
+ * the listed names to the front in that order, and `middleware.disabled` skips
+ * them entirely, so built-ins can be reordered or turned off per deployment.
+ * `permissions` cannot be turned off: without it owner-only commands would be
+ * open to everyone.
+ */
+class MiddlewarePipeline {
+    constructor() {
+        this.entries = new Map();
+        this.sequence = 0;
+    }
+
+    use(name, middleware, options = {}) {
+        if (!name) {
+            throw new Error('Middleware name is required');
+        }
+
+        const spec = typeof middleware === 'function' ? { around: middleware } : middleware || {};
+        if (!spec.before && !spec.around && !spec.after) {
+            throw new Error(`Middleware ${name} needs a before, around or after function`);
+        }
+
+        this.entries.set(name, {
+            name,
+            before: spec.before,
+            around: spec.around,
+            after: spec.after,
+            priority: options.priority ?? spec.priority ?? 100,
+            owner: options.owner || null,
+            sequence: this.sequence++
+        });
+        logger.debug(`🧩 Registered middleware: ${name}`);
+    }
+
+    // With `owner`, leaves the entry alone if another module has since replaced it
+    remove(name, owner = null) {
+        if (owner && this.entries.get(name)?.owner !== owner) return;
+        if (this.entries.delete(name)) {
+            logger.debug(`🗑️ Removed middleware: ${name}`);
+        }
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    resolve() {
+        const order = config.get('middleware.order') || [];
+        const disabled = new Set(config.get('middleware.disabled') || []);
+        for (const name of REQUIRED) {
+            if (disabled.delete(name)) {
+                logger.debug(`🧩 Ignoring ${name} in middleware.disabled, it always runs`);
+            }
+        }
+
+        return [...this.entries.values()]
+            .filter(entry => !disabled.has(entry.name))
+            .sort((a, b) => {
+                const ia = order.indexOf(a.name);
+                const ib = order.indexOf(b.name);
+                if (ia !== -1 || ib !== -1) {
+                    if (ia === -1) return 1;
+                    if (ib === -1) return -1;
+                    return ia - ib;
+                }
+                return a.priority - b.priority || a.sequence - b.sequence;
+            });
+    }
+
+    list() {
+        return this.resolve().map(entry => entry.name);
+    }
+
+    async run(ctx, terminal) {
+        const chain = this.resolve();
+
+        const dispatch = async (index) => {
+            if (ctx.halted) return;
+            if (index >= chain.length) {
+                return terminal(ctx);
+            }
+
+            const entry = chain[index];
+            const next = () => dispatch(index + 1);
+
+            if (entry.before) {
+                const proceed = await entry.before(ctx);
+                if (proceed === false || ctx.halted) {
+                    ctx.halted = true;
+                    return;
+                }
+            }
+
+            if (entry.around) {
+                await entry.around(ctx, next);
+            } else {
+                await next();
+            }
+
+            if (entry.after && !ctx.halted) {
+                await entry.after(ctx);
+            }
+        };
+
+        return dispatch(0);
+    }
+}
+
+module.exports = MiddlewarePipeline;
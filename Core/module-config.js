@@ -0,0 +1,127 @@
+const config = require('../config');
+const { coerce } = require('./arg-parser');
+
+/**
+ * Check a value against one setting of a module's `configSchema` and convert
+ * text typed in chat to its type. Types are those of command arguments
+ * (string, number, integer, boolean, duration, url, jid) plus `list`, a
+ * comma-separated list whose entries have the type `items` (default string).
+ * `min`/`max` bound numbers, and apply to each entry of a list.
+ * @throws {ArgumentError}
+ */
+function validateValue(spec, value, label) {
+    if (spec.type === 'list') {
+        const items = Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+        const itemSpec = { type: spec.items || 'string', choices: spec.choices, pattern: spec.pattern, min: spec.min, max: spec.max };
+        return items.map(item => coerce(item, itemSpec, label));
+    }
+    return coerce(value, spec, label);
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Enough of a secret to tell two keys apart
+function maskSecret(value) {
+    if (isMissing(value)) return value;
+    const text = String(value);
+    return text.length > 8 ? `••••${text.slice(-4)}` : '••••';
+}
+
+/**
+ * A module's settings, injected as `this.config` before init(). Declared in
+ * the module:
+ *
+ *   this.configSchema = {
+ *       apiKey: { type: 'string', required: true, secret: true, description: 'OpenWeatherMap API key' },
+ *       units: { type: 'string', default: 'metric', choices: ['metric', 'imperial'], description: 'Units' }
+ *   };
+ *
+ * Values live in Config under `modules.<module>.<key>` and are changed with
+ * `.config set <module>.<key> <value>`. A module missing a required value is
+ * loaded degraded: its commands answer with what to set, and init() and its
+ * hooks wait until the value is there.
+ */
+class ModuleConfig {
+    constructor(moduleName, schema = {}, registry = null) {
+        this.moduleName = moduleName;
+        this.schema = schema;
+        this.registry = registry;
+    }
+
+    path(key) {
+        return `modules.${this.moduleName}.${key}`;
+    }
+
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(this.schema, key);
+    }
+
+    get(key) {
+        const value = config.get(this.path(key));
+        return isMissing(value) && this.has(key) ? this.schema[key].default : value;
+    }
+
+    getAll() {
+        return Object.fromEntries(Object.keys(this.schema).map(key => [key, this.get(key)]));
+    }
+
+    /**
+     * Call `listener(value)` whenever a setting changes, with its default when
+     * reset. Stops when the module is unloaded.
+     */
+    onChange(key, listener) {
+        if (!this.has(key)) {
+            throw new Error(`${this.moduleName} has no setting ${key}`);
+        }
+        return this.registry.onConfig(this.path(key), () => listener(this.get(key)));
+    }
+
+    // Required keys without a value or default
+    missing() {
+        return Object.entries(this.schema)
+            .filter(([key, spec]) => spec.required && isMissing(this.get(key)))
+            .map(([key]) => key);
+    }
+
+    /**
+     * Validate and store a value.
+     * @param {object} [meta] - `{ by }` for the config history.
+     * @returns {Promise<*>} The stored value, converted to the setting's type.
+     * @throws {Error|ArgumentError} For an undeclared key or an invalid value.
+     */
+    async set(key, value, meta = {}) {
+        if (!this.has(key)) {
+            throw new Error(`${this.moduleName} has no setting ${key}`);
+        }
+        const parsed = validateValue(this.schema[key], value, `${this.moduleName}.${key}`);
+        await config.set(this.path(key), parsed, meta);
+        return parsed;
+    }
+
+    // Back to the default
+    async reset(key, meta = {}) {
+        if (!this.has(key)) {
+            throw new Error(`${this.moduleName} has no setting ${key}`);
+        }
+        await config.delete(this.path(key), meta);
+    }
+
+    // Value for display, with secrets masked
+    display(key) {
+        const value = this.get(key);
+        if (isMissing(value)) return this.schema[key]?.required ? '❗ not set' : 'not set';
+        return this.schema[key]?.secret ? maskSecret(value) : JSON.stringify(value);
+    }
+
+    // Setup hint for commands of a module missing required values
+    describeMissing() {
+        const keys = this.missing();
+        const lines = keys.map(key => `• ${this.moduleName}.${key}${this.schema[key].description ? ` – ${this.schema[key].description}` : ''}`);
+        return `⚙️ *${this.moduleName}* is not configured yet.\n\nMissing:\n${lines.join('\n')}\n\n` +
+               `💡 The owner can set it with .config set ${this.moduleName}.${keys[0]} <value>`;
+    }
+}
+
+module.exports = { ModuleConfig, validateValue, maskSecret, isMissing };
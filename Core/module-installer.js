@@ -0,0 +1,394 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const logger = require('./logger');
+
+const execFileAsync = promisify(execFile);
+
+const MANIFEST = 'module.json';
+const MAX_FILE_SIZE = 1024 * 1024;
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Integrity hash of a module's files. One file hashes like `sha256sum file`;
+ * several hash the sorted `sha256sum` listing, i.e.
+ * `sha256sum $(files, sorted) | sha256sum`.
+ */
+function hashFiles(files) {
+    if (files.length === 1) return sha256(files[0].content);
+
+    return sha256([...files]
+        .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))
+        .map(file => `${sha256(file.content)}  ${file.path}\n`)
+        .join(''));
+}
+
+/**
+ * Refuse git sources that git would read as options or as a local or
+ * helper transport (`file://`, `ext::`): only https, ssh and `user@host:path`.
+ */
+function checkGitSource({ url, ref }) {
+    if (url.startsWith('-') || (ref && ref.startsWith('-'))) {
+        throw new Error('A git source or ref cannot start with "-"');
+    }
+    if (!/^(https|ssh):\/\//i.test(url) && !/^[\w.-]+@[\w.-]+:[^:]/.test(url)) {
+        throw new Error('Git sources must be https://, ssh:// or user@host:path URLs');
+    }
+}
+
+/**
+ * Read and check a module directory.
+ *
+ * `module.json`:
+ *   {
+ *     "name": "weather",                 // module name, also its folder name
+ *     "version": "1.2.0",
+ *     "main": "index.js",                // default index.js
+ *     "files": ["index.js", "lib/api.js"], // default [main]
+ *     "dependencies": ["other-module", "axios"],
+ *     "sha256": "..."                    // hashFiles() of `files`, checked on install and upgrade
+ *   }
+ *
+ * @returns {{root: string, manifest: object, files: Array<{path: string, content: string}>, sha256: string}}
+ */
+function readBundle(root) {
+    const manifestPath = path.join(root, MANIFEST);
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`${MANIFEST} not found`);
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${MANIFEST} is not valid JSON: ${error.message}`);
+    }
+
+    if (typeof manifest.name !== 'string' || !/^[a-z0-9][\w-]*$/i.test(manifest.name)) {
+        throw new Error(`${MANIFEST} needs a "name" made of letters, numbers, - and _`);
+    }
+    if (typeof manifest.version !== 'string' || !manifest.version) {
+        throw new Error(`${MANIFEST} needs a "version"`);
+    }
+
+    manifest.main = manifest.main || 'index.js';
+    manifest.files = Array.isArray(manifest.files) && manifest.files.length ? manifest.files : [manifest.main];
+    manifest.dependencies = Array.isArray(manifest.dependencies) ? manifest.dependencies : [];
+
+    if (!manifest.files.includes(manifest.main)) {
+        throw new Error(`"main" (${manifest.main}) must be listed in "files"`);
+    }
+
+    const files = manifest.files.map(file => {
+        const fullPath = path.resolve(root, file);
+        if (!fullPath.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`File ${file} is outside the module folder`);
+        }
+        if (!fs.existsSync(fullPath)) {
+            throw new Error(`File ${file} listed in ${MANIFEST} is missing`);
+        }
+        return { path: file, content: fs.readFileSync(fullPath, 'utf8') };
+    });
+
+    return { root, manifest, files, sha256: hashFiles(files) };
+}
+
+// 1.10.0 > 1.9.3; missing parts count as 0
+function compareVersions(a, b) {
+    const pa = String(a).replace(/^v/, '').split(/[.-]/).map(part => parseInt(part, 10) || 0);
+    const pb = String(b).replace(/^v/, '').split(/[.-]/).map(part => parseInt(part, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return Math.sign(diff);
+    }
+    return 0;
+}
+
+/**
+ * Installs, upgrades and removes custom modules from a manifest URL or a git
+ * repository. Installed modules live in `modules/custom_modules/<name>/` and
+ * are recorded in the `installed_modules` collection:
+ *   { _id: '<name>', version, source: { type: 'url'|'git', url, ref }, files, sha256, dependencies, installedBy, installedAt, updatedAt }
+ *
+ * A source ending in `.json` is a manifest URL and its files are fetched
+ * relative to it; anything else is cloned with git (`url#branch` picks a ref).
+ */
+class ModuleInstaller {
+    constructor(bot, loader) {
+        this.bot = bot;
+        this.loader = loader;
+        this.collection = null;
+        this.records = new Map(); // name -> record
+    }
+
+    async init() {
+        if (!this.bot.db) {
+            logger.warn('⚠️ No database, installed modules will not be recorded');
+            return;
+        }
+
+        this.collection = this.bot.db.collection('installed_modules');
+        const docs = await this.collection.find({}).toArray();
+        for (const doc of docs) {
+            this.records.set(doc._id, doc);
+        }
+
+        logger.info(`📦 Installed module records loaded: ${this.records.size}`);
+    }
+
+    list() {
+        return [...this.records.values()];
+    }
+
+    get(name) {
+        return this.records.get(name) || null;
+    }
+
+    parseSource(source) {
+        const [url, ref = null] = source.split('#');
+        const type = /\.json$/i.test(url) ? 'url' : 'git';
+        return { type, url, ref };
+    }
+
+    // Download a module into a temporary folder
+    async fetchSource(source) {
+        const staging = await fs.mkdtemp(path.join(os.tmpdir(), 'hyperwa-module-'));
+
+        try {
+            if (source.type === 'git') {
+                checkGitSource(source);
+                const args = ['clone', '--depth', '1', ...(source.ref ? ['--branch', source.ref] : []), '--', source.url, staging];
+                await execFileAsync('git', args, { timeout: 60000 });
+                await fs.remove(path.join(staging, '.git'));
+                return staging;
+            }
+
+            const manifestText = await this.download(source.url);
+            await fs.writeFile(path.join(staging, MANIFEST), manifestText);
+
+            const manifest = JSON.parse(manifestText);
+            const files = Array.isArray(manifest.files) && manifest.files.length ? manifest.files : [manifest.main || 'index.js'];
+            for (const file of files) {
+                const target = path.resolve(staging, file);
+                if (!target.startsWith(staging + path.sep)) {
+                    throw new Error(`File ${file} is outside the module folder`);
+                }
+                await fs.ensureDir(path.dirname(target));
+                await fs.writeFile(target, await this.download(new URL(file, source.url).href));
+            }
+            return staging;
+        } catch (error) {
+            await fs.remove(staging);
+            throw error;
+        }
+    }
+
+    async download(url) {
+        const response = await fetch(url, { signal: AbortSignal.timeout(30000) });
+        if (!response.ok) {
+            throw new Error(`Download of ${url} failed: HTTP ${response.status}`);
+        }
+
+        const text = await response.text();
+        if (Buffer.byteLength(text) > MAX_FILE_SIZE) {
+            throw new Error(`${url} is larger than ${MAX_FILE_SIZE / 1024} KB`);
+        }
+        return text;
+    }
+
+    verify(bundle) {
+        const expected = String(bundle.manifest.sha256 || '').toLowerCase();
+        if (!expected) {
+            throw new Error(`${MANIFEST} has no "sha256"; it is required to install`);
+        }
+        if (expected !== bundle.sha256) {
+            throw new Error(`Integrity check failed: expected ${expected.slice(0, 16)}…, got ${bundle.sha256.slice(0, 16)}…`);
+        }
+    }
+
+    /**
+     * Sandbox review of a bundle, or null when custom modules are not sandboxed.
+     */
+    review(bundle) {
+        const sandbox = this.loader.sandbox;
+        if (!sandbox.isEnabled()) return null;
+
+        const source = bundle.files.map(file => file.content).join('\n');
+        return sandbox.review(source, bundle.manifest.name, { sha256: bundle.sha256, local: true });
+    }
+
+    /**
+     * @param {string} sourceText - Manifest URL or git URL.
+     * @param {object} options
+     * @param {Function} options.confirm - `(bundle, review) => Promise<boolean>`; false aborts the install.
+     * @param {string} options.installedBy
+     * @returns {Promise<{record: object, status: object}|null>} null when not confirmed.
+     */
+    async install(sourceText, { confirm, installedBy }) {
+        const source = this.parseSource(sourceText);
+        const staging = await this.fetchSource(source);
+
+        try {
+            const bundle = readBundle(staging);
+            this.verify(bundle);
+
+            const { name } = bundle.manifest;
+            if (this.records.has(name)) {
+                throw new Error(`${name} is already installed; use .upgrade ${name}`);
+            }
+            if (this.loader.getModule(name) || fs.existsSync(path.join(this.loader.customPath, name))) {
+                throw new Error(`A module named ${name} already exists`);
+            }
+
+            const review = this.review(bundle);
+            if (!await confirm(bundle, review)) return null;
+
+            const target = path.join(this.loader.customPath, name);
+            await fs.move(staging, target);
+            if (review) await this.loader.sandbox.approve(review, installedBy);
+
+            const status = await this.loader.loadBundle(target)
+                .catch(error => ({ status: 'failed', reason: error.message }));
+
+            if (status?.status !== 'loaded' && status?.status !== 'degraded') {
+                // Leave nothing behind: no files, no approval, no record
+                if (this.loader.getModule(name)) await this.loader.unloadModule(name);
+                this.loader.moduleStatus.delete(name);
+                await fs.remove(target);
+                if (review) await this.loader.sandbox.revoke(name);
+
+                throw new Error(`${name}@${bundle.manifest.version} did not load (${status?.reason || status?.status}); nothing was installed`);
+            }
+
+            const record = await this.saveRecord(bundle, source, installedBy);
+            logger.info(`📦 Installed ${name}@${bundle.manifest.version} (${status?.status})`);
+
+            return { record, status };
+        } finally {
+            await fs.remove(staging);
+        }
+    }
+
+    /**
+     * Fetch the recorded source again and swap the module for the new version,
+     * keeping the old files if the new version fails to load.
+     * @returns {Promise<{record: object, status: object, previous: string}|null>} null when not confirmed.
+     */
+    async upgrade(name, { confirm, installedBy }) {
+        const current = this.records.get(name);
+        if (!current) {
+            throw new Error(`${name} was not installed with .install`);
+        }
+
+        const staging = await this.fetchSource(current.source);
+
+        try {
+            const bundle = readBundle(staging);
+            this.verify(bundle);
+
+            if (bundle.manifest.name !== name) {
+                throw new Error(`The source now provides ${bundle.manifest.name}, not ${name}`);
+            }
+
+            const order = compareVersions(bundle.manifest.version, current.version);
+            if (order < 0) {
+                throw new Error(`Source has ${bundle.manifest.version}, older than the installed ${current.version}`);
+            }
+            if (order === 0) {
+                if (bundle.sha256 === current.sha256) return { record: current, status: null, previous: current.version };
+                throw new Error(`Files changed but the version is still ${current.version}; the author must bump it`);
+            }
+
+            const review = this.review(bundle);
+            if (!await confirm(bundle, review)) return null;
+
+            const target = path.join(this.loader.customPath, name);
+            const backup = `${target}.previous`;
+            const previousApproval = this.loader.sandbox.approvals.get(name);
+
+            await fs.remove(backup);
+            await fs.move(target, backup);
+            await fs.move(staging, target);
+            if (review) await this.loader.sandbox.approve(review, installedBy);
+
+            let status = this.loader.getModule(name)
+                ? await this.loader.reloadModule(name).catch(error => ({ status: 'failed', reason: error.message }))
+                : await this.loader.loadBundle(target);
+
+            if (status?.status !== 'loaded' && status?.status !== 'degraded') {
+                // Put the working version back
+                await fs.remove(target);
+                await fs.move(backup, target);
+                if (previousApproval) {
+                    await this.loader.sandbox.approve({
+                        fileName: name, sha256: previousApproval.sha256, declared: previousApproval.capabilities
+                    }, previousApproval.approvedBy);
+                }
+                if (this.loader.getModule(name)) await this.loader.reloadModule(name).catch(() => {});
+                else await this.loader.loadBundle(target);
+
+                throw new Error(`${name}@${bundle.manifest.version} did not load (${status?.reason || status?.status}); kept ${current.version}`);
+            }
+
+            await fs.remove(backup);
+            const record = await this.saveRecord(bundle, current.source, installedBy, current.installedAt);
+            logger.info(`📦 Upgraded ${name} ${current.version} → ${bundle.manifest.version}`);
+
+            return { record, status, previous: current.version };
+        } finally {
+            await fs.remove(staging);
+        }
+    }
+
+    async uninstall(name) {
+        const record = this.records.get(name);
+        const target = path.join(this.loader.customPath, name);
+        if (!record && !fs.existsSync(path.join(target, MANIFEST))) {
+            throw new Error(`${name} is not an installed module`);
+        }
+
+        if (this.loader.getModule(name)) {
+            await this.loader.unloadModule(name);
+        }
+        this.loader.moduleStatus.delete(name);
+
+        await fs.remove(target);
+        await this.loader.sandbox.revoke(name);
+
+        this.records.delete(name);
+        if (this.collection) {
+            await this.collection.deleteOne({ _id: name });
+        }
+        logger.info(`🗑️ Uninstalled ${name}`);
+        return record;
+    }
+
+    async saveRecord(bundle, source, installedBy, installedAt = new Date()) {
+        const { manifest } = bundle;
+        const record = {
+            _id: manifest.name,
+            version: manifest.version,
+            source,
+            files: manifest.files,
+            sha256: bundle.sha256,
+            dependencies: manifest.dependencies,
+            installedBy,
+            installedAt,
+            updatedAt: new Date()
+        };
+
+        this.records.set(manifest.name, record);
+        if (this.collection) {
+            await this.collection.replaceOne({ _id: manifest.name }, record, { upsert: true });
+        }
+        return record;
+    }
+}
+
+module.exports = { ModuleInstaller, readBundle, hashFiles, compareVersions, MANIFEST };
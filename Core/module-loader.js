@@ -3,14 +3,26 @@ const fs = require('fs-extra');
 const logger = require('./logger');
 const config = require('../config');
 const helpers = require('../utils/helpers');
-// Temporary in-memory store; replace with DB for persistence
-const helpPreferences = new Map();
+const ModuleRegistry = require('./module-registry');
+const { ModuleSandbox, CapabilityError } = require('./sandbox');
+const { PromptError } = require('./conversation');
+const { ModuleInstaller, readBundle, MANIFEST } = require('./module-installer');
+const { StorageManager } = require('./module-storage');
+const { ModuleConfig } = require('./module-config');
 class ModuleLoader {
     constructor(bot) {
         this.bot = bot;
         this.modules = new Map();
+        this.moduleStatus = new Map(); // name -> { status: 'pending'|'loaded'|'degraded'|'skipped'|'failed', reason, isSystem }
         this.systemModulesCount = 0;
         this.customModulesCount = 0;
+        this.systemPath = path.join(__dirname, '../modules');
+        this.customPath = path.join(this.systemPath, 'custom_modules');
+        this.watchers = [];
+        this.reloadTimers = new Map(); // file -> debounce timer
+        this.sandbox = new ModuleSandbox(bot);
+        this.installer = new ModuleInstaller(bot, this);
+        this.storage = new StorageManager(bot);
         this.setupModuleCommands();
         
     }
@@ -19,47 +31,66 @@ class ModuleLoader {
         // Load Module Command
         const loadModuleCommand = {
             name: 'lm',
-            description: 'Load a module from file',
-            usage: '.lm (reply to a .js or .mjs file)',
+            description: 'Load a module from file (reviewed before it runs)',
+            usage: '.lm (send as the caption of, or reply to, a .js or .mjs file)',
             permissions: 'owner',
             execute: async (msg, params, context) => {
-                const fileName = msg.message?.documentMessage?.fileName;
+                // The file can be attached to the command itself or be the replied-to message
+                const document = context.getMedia('document');
+                const fileName = document?.fileName;
                 if (!fileName || (!fileName.endsWith('.js') && !fileName.endsWith('.mjs'))) {
                     return context.bot.sendMessage(context.sender, {
                         text: '🔧 *Load Module*\n\n❌ Please reply to a JavaScript (.js or .mjs) file to load it as a module.'
                     });
                 }
 
+                // Set once this upload is approved, so a failed load can take the approval back
+                let approval = null;
                 try {
                     const processingMsg = await context.bot.sendMessage(context.sender, {
                         text: '⚡ *Loading Module*\n\n🔄 Downloading and installing module...\n⏳ Please wait...'
                     });
 
-                    const { downloadContentFromMessage } = require('@whiskeysockets/baileys');
-                    const stream = await downloadContentFromMessage(msg.message.documentMessage, 'document');
-                    
-                    const chunks = [];
-                    for await (const chunk of stream) {
-                        chunks.push(chunk);
+                    const buffer = await document.download();
+
+                    // Uploaded code only runs once the owner has seen what it asks for
+                    if (this.sandbox.isEnabled()) {
+                        const review = this.sandbox.review(buffer.toString('utf8'), fileName);
+                        if (!await this.confirmReview(context, review)) return;
+                        approval = { fileName, previous: this.sandbox.approvals.get(fileName) };
+                        await this.sandbox.approve(review, context.participant);
                     }
-                    const buffer = Buffer.concat(chunks);
-                    
-                    const fileName = msg.message.documentMessage.fileName;
-                    const customModulesPath = path.join(__dirname, '../custom_modules');
-                    await fs.ensureDir(customModulesPath);
-                    
-                    const filePath = path.join(customModulesPath, fileName);
+
+                    await fs.ensureDir(this.customPath);
+
+                    const filePath = path.join(this.customPath, fileName);
                     await fs.writeFile(filePath, buffer);
-                    
-                    await this.loadModule(filePath, false);
-                    
+
+                    // Sending a new version of a loaded module replaces it
+                    const existing = this.findModuleByPath(filePath);
+                    const result = existing
+                        ? await this.reloadModule(existing)
+                        : await this.loadModule(filePath, false);
+
+                    if (result?.status !== 'loaded' && result?.status !== 'degraded') {
+                        await this.withdrawApproval(approval);
+                        return await context.bot.sock.sendMessage(context.sender, {
+                            text: `❌ *Module Load Failed*\n\n📦 Module: \`${fileName}\`\n🎯 Status: ${result?.status || 'failed'}\n🚫 ${result?.reason || 'Unknown error'}`,
+                            edit: processingMsg.key
+                        });
+                    }
+
+                    approval = null; // Loaded; the approval stands even if the notice below fails
+                    const status = result.status === 'degraded' ? `Degraded (${result.reason})` : 'Active';
                     await context.bot.sock.sendMessage(context.sender, {
-                        text: `✅ *Module Loaded Successfully*\n\n📦 Module: \`${fileName}\`\n📁 Location: Custom Modules\n🎯 Status: Active\n⏰ ${new Date().toLocaleTimeString()}`,
+                        text: `✅ *Module Loaded Successfully*\n\n📦 Module: \`${fileName}\`\n📁 Location: Custom Modules\n🎯 Status: ${status}\n⏰ ${new Date().toLocaleTimeString()}`,
                         edit: processingMsg.key
                     });
 
                 } catch (error) {
+                    if (error instanceof PromptError) throw error; // Timed-out or cancelled review
                     logger.error('Failed to load module:', error);
+                    await this.withdrawApproval(approval);
                     await context.bot.sendMessage(context.sender, {
                         text: `❌ *Module Load Failed*\n\n🚫 Error: ${error.message}\n🔧 Please check the module file format.`
                     });
@@ -104,6 +135,168 @@ class ModuleLoader {
             }
         };
 
+        // Reload Module Command
+        const reloadModuleCommand = {
+            name: 'reload',
+            description: 'Reload a module from disk without restarting',
+            usage: '.reload <module_name>',
+            permissions: 'owner',
+            execute: async (msg, params, context) => {
+                if (params.length === 0) {
+                    const moduleList = this.listModules().join('\n• ');
+                    return context.bot.sendMessage(context.sender, {
+                        text: `🔄 *Reload Module*\n\n📋 Available modules:\n• ${moduleList}\n\n💡 Usage: \`.reload <module_name>\``
+                    });
+                }
+
+                const moduleName = params[0];
+
+                try {
+                    const processingMsg = await context.bot.sendMessage(context.sender, {
+                        text: `⚡ *Reloading Module*\n\n🔄 Reloading: \`${moduleName}\`\n⏳ Please wait...`
+                    });
+
+                    const result = await this.reloadModule(moduleName);
+                    const ok = result?.status === 'loaded' || result?.status === 'degraded';
+
+                    await context.bot.sock.sendMessage(context.sender, {
+                        text: ok
+                            ? `✅ *Module Reloaded Successfully*\n\n📦 Module: \`${moduleName}\`\n🎯 Status: ${result.status === 'degraded' ? `Degraded (${result.reason})` : 'Active'}\n⏰ ${new Date().toLocaleTimeString()}`
+                            : `❌ *Module Reload Failed*\n\n📦 Module: \`${moduleName}\`\n🎯 Status: ${result?.status || 'failed'}\n🚫 ${result?.reason || 'Unknown error'}`,
+                        edit: processingMsg.key
+                    });
+
+                } catch (error) {
+                    logger.error('Failed to reload module:', error);
+                    await context.bot.sendMessage(context.sender, {
+                        text: `❌ *Module Reload Failed*\n\n🚫 Error: ${error.message}\n📦 Module: \`${moduleName}\``
+                    });
+                }
+            }
+        };
+
+        // Install Module Command
+        const installModuleCommand = {
+            name: 'install',
+            description: 'Install a module from a manifest URL or git repository',
+            usage: '.install <module.json url | git url[#branch]>',
+            permissions: 'owner',
+            execute: async (msg, params, context) => {
+                if (params.length === 0) {
+                    const installed = this.installer.list()
+                        .map(record => `${record._id}@${record.version} (${record.source.type})`);
+                    return context.bot.sendMessage(context.sender, {
+                        text: `📦 *Install Module*\n\n📋 Installed:\n• ${installed.join('\n• ') || 'None'}\n\n` +
+                              `💡 Usage: \`.install <module.json url>\` or \`.install <git url>[#branch]\``
+                    });
+                }
+
+                const source = params[0];
+
+                try {
+                    const processingMsg = await context.bot.sendMessage(context.sender, {
+                        text: `⚡ *Installing Module*\n\n🔄 Fetching: \`${source}\`\n⏳ Please wait...`
+                    });
+
+                    const result = await this.installer.install(source, {
+                        installedBy: context.participant,
+                        confirm: (bundle, review) => this.confirmBundle(context, bundle, review)
+                    });
+                    if (!result) return;
+
+                    const { record, status } = result;
+                    await context.bot.sock.sendMessage(context.sender, {
+                        text: `✅ *Module Installed*\n\n📦 Module: \`${record._id}\`\n🏷️ Version: ${record.version}\n` +
+                              `📄 Files: ${record.files.length}\n🎯 Status: ${this.formatStatus(status)}\n⏰ ${new Date().toLocaleTimeString()}`,
+                        edit: processingMsg.key
+                    });
+
+                } catch (error) {
+                    if (error instanceof PromptError) throw error;
+                    logger.error('Failed to install module:', error);
+                    await context.bot.sendMessage(context.sender, {
+                        text: `❌ *Module Install Failed*\n\n🚫 Error: ${error.message}\n🔗 Source: \`${source}\``
+                    });
+                }
+            }
+        };
+
+        // Upgrade Module Command
+        const upgradeModuleCommand = {
+            name: 'upgrade',
+            description: 'Upgrade an installed module from its source',
+            usage: '.upgrade <module_name>',
+            permissions: 'owner',
+            execute: async (msg, params, context) => {
+                if (params.length === 0) {
+                    const installed = this.installer.list().map(record => `${record._id}@${record.version}`);
+                    return context.bot.sendMessage(context.sender, {
+                        text: `⬆️ *Upgrade Module*\n\n📋 Installed:\n• ${installed.join('\n• ') || 'None'}\n\n💡 Usage: \`.upgrade <module_name>\``
+                    });
+                }
+
+                const moduleName = params[0];
+
+                try {
+                    const processingMsg = await context.bot.sendMessage(context.sender, {
+                        text: `⚡ *Upgrading Module*\n\n🔄 Checking: \`${moduleName}\`\n⏳ Please wait...`
+                    });
+
+                    const result = await this.installer.upgrade(moduleName, {
+                        installedBy: context.participant,
+                        confirm: (bundle, review) => this.confirmBundle(context, bundle, review)
+                    });
+                    if (!result) return;
+
+                    const { record, status, previous } = result;
+                    await context.bot.sock.sendMessage(context.sender, {
+                        text: status
+                            ? `✅ *Module Upgraded*\n\n📦 Module: \`${moduleName}\`\n🏷️ Version: ${previous} → ${record.version}\n🎯 Status: ${this.formatStatus(status)}\n⏰ ${new Date().toLocaleTimeString()}`
+                            : `✅ *Up To Date*\n\n📦 Module: \`${moduleName}\`\n🏷️ Version: ${record.version}`,
+                        edit: processingMsg.key
+                    });
+
+                } catch (error) {
+                    if (error instanceof PromptError) throw error;
+                    logger.error('Failed to upgrade module:', error);
+                    await context.bot.sendMessage(context.sender, {
+                        text: `❌ *Module Upgrade Failed*\n\n🚫 Error: ${error.message}\n📦 Module: \`${moduleName}\``
+                    });
+                }
+            }
+        };
+
+        // Uninstall Module Command
+        const uninstallModuleCommand = {
+            name: 'uninstall',
+            description: 'Unload an installed module and delete its files',
+            usage: '.uninstall <module_name>',
+            permissions: 'owner',
+            execute: async (msg, params, context) => {
+                if (params.length === 0) {
+                    const installed = this.installer.list().map(record => `${record._id}@${record.version}`);
+                    return context.bot.sendMessage(context.sender, {
+                        text: `🗑️ *Uninstall Module*\n\n📋 Installed:\n• ${installed.join('\n• ') || 'None'}\n\n💡 Usage: \`.uninstall <module_name>\``
+                    });
+                }
+
+                const moduleName = params[0];
+
+                try {
+                    const record = await this.installer.uninstall(moduleName);
+                    await context.bot.sendMessage(context.sender, {
+                        text: `✅ *Module Uninstalled*\n\n📦 Module: \`${moduleName}\`${record ? `\n🏷️ Version: ${record.version}` : ''}\n🗑️ Files and install record removed\n⏰ ${new Date().toLocaleTimeString()}`
+                    });
+
+                } catch (error) {
+                    logger.error('Failed to uninstall module:', error);
+                    await context.bot.sendMessage(context.sender, {
+                        text: `❌ *Module Uninstall Failed*\n\n🚫 Error: ${error.message}\n📦 Module: \`${moduleName}\``
+                    });
+                }
+            }
+        };
+
         // List Modules Command
         const listModulesCommand = {
             name: 'modules',
@@ -137,6 +330,15 @@ class ModuleLoader {
                     moduleText += `• None loaded\n\n`;
                 }
                 
+                // Modules that are up but limited, or that never came up
+                const problems = [...this.moduleStatus]
+                    .filter(([, info]) => ['degraded', 'skipped', 'failed'].includes(info.status))
+                    .map(([name, info]) => `${name} (${info.status}: ${info.reason})`);
+                if (problems.length > 0) {
+                    moduleText += `⚠️ **Needs Attention (${problems.length}):**\n`;
+                    moduleText += `• ${problems.join('\n• ')}\n\n`;
+                }
+
                 moduleText += `📈 **Total:** ${this.modules.size} modules active`;
 
                 await context.bot.sendMessage(context.sender, { text: moduleText });
@@ -146,12 +348,76 @@ class ModuleLoader {
         // Register module management commands
         this.bot.messageHandler.registerCommandHandler('lm', loadModuleCommand);
         this.bot.messageHandler.registerCommandHandler('ulm', unloadModuleCommand);
+        this.bot.messageHandler.registerCommandHandler('reload', reloadModuleCommand);
+        this.bot.messageHandler.registerCommandHandler('install', installModuleCommand);
+        this.bot.messageHandler.registerCommandHandler('upgrade', upgradeModuleCommand);
+        this.bot.messageHandler.registerCommandHandler('uninstall', uninstallModuleCommand);
         this.bot.messageHandler.registerCommandHandler('modules', listModulesCommand);
     }
 
+    // Undo an .lm approval whose code never activated: the earlier approval comes back, or none
+    async withdrawApproval(approval) {
+        if (!approval) return;
+        if (approval.previous) {
+            const { sha256, capabilities, approvedBy } = approval.previous;
+            await this.sandbox.approve({ fileName: approval.fileName, sha256, declared: capabilities }, approvedBy);
+        } else {
+            await this.sandbox.revoke(approval.fileName);
+        }
+    }
+
+    /**
+     * Show the owner a sandbox review and ask whether to activate the module.
+     * @returns {Promise<boolean>} false when refused or rejected; the chat has been told why.
+     */
+    async confirmReview(context, review) {
+        const refusal = this.sandbox.formatRefusal(review);
+        if (refusal) {
+            await context.bot.sendMessage(context.sender, { text: refusal });
+            return false;
+        }
+
+        const approved = await context.ask(this.sandbox.formatReview(review), {
+            choices: [{ label: '✅ Activate', value: true }, { label: '❌ Reject', value: false }]
+        });
+        if (!approved) {
+            await context.bot.sendMessage(context.sender, {
+                text: `🚫 *Module Rejected*\n\n📦 Module: \`${review.fileName}\`\nNothing was installed.`
+            });
+        }
+        return approved;
+    }
+
+    // Installs are confirmed even without the sandbox: the code comes from somewhere else
+    async confirmBundle(context, bundle, review) {
+        if (review) return this.confirmReview(context, review);
+
+        const { manifest } = bundle;
+        const approved = await context.ask(
+            `📦 *Install ${manifest.name}@${manifest.version}?*\n\n📄 Files: ${manifest.files.join(', ')}\n` +
+            `🔗 Depends on: ${manifest.dependencies.join(', ') || 'nothing'}\n🔑 sha256: \`${bundle.sha256.slice(0, 16)}\`\n\n` +
+            `⚠️ Sandboxing is off; this code will run with full access.`,
+            { choices: [{ label: '✅ Install', value: true }, { label: '❌ Cancel', value: false }] }
+        );
+        if (!approved) {
+            await context.bot.sendMessage(context.sender, { text: `🚫 *Install Cancelled*\n\n📦 Module: \`${manifest.name}\`` });
+        }
+        return approved;
+    }
+
+    formatStatus(status) {
+        if (status?.status === 'loaded') return 'Active';
+        if (status?.status === 'degraded') return `Degraded (${status.reason})`;
+        return `${status?.status || 'failed'} (${status?.reason || 'Unknown error'})`;
+    }
+
 async loadModules() {
-    const systemPath = path.join(__dirname, '../modules');
-    const customPath = path.join(__dirname, '../modules/custom_modules');
+    const systemPath = this.systemPath;
+    const customPath = this.customPath;
+
+    await this.sandbox.init();
+    await this.installer.init();
+    await this.storage.init();
 
     await fs.ensureDir(systemPath);
     await fs.ensureDir(customPath);
@@ -164,176 +430,43 @@ async loadModules() {
     this.systemModulesCount = 0;
     this.customModulesCount = 0;
 
+    // Instantiate everything first so names and dependencies are known, then init in dependency order
+    const entries = [];
     for (const file of systemFiles) {
         if (file.endsWith('.js')) {
-            await this.loadModule(path.join(systemPath, file), true);
+            entries.push(this.prepareModule(path.join(systemPath, file), true));
         }
     }
 
     for (const file of customFiles) {
         if (file.endsWith('.js')) {
-            await this.loadModule(path.join(customPath, file), false);
+            entries.push(this.prepareModule(path.join(customPath, file), false));
+        } else if (await fs.pathExists(path.join(customPath, file, MANIFEST))) {
+            // Multi-file module installed with .install
+            entries.push(this.prepareBundle(path.join(customPath, file)));
         }
     }
+
+    for (const entry of this.sortByDependencies(entries.filter(Boolean))) {
+        await this.activateModule(entry);
+    }
 logger.info(`Modules Loaded || 🧩 System: ${this.systemModulesCount} || 📦 Custom: ${this.customModulesCount} || 📊 Total: ${this.systemModulesCount + this.customModulesCount}`);
+    this.reportModuleStatus();
 
 
         // Load help system after all modules
         this.setupHelpSystem();
 
+        if (config.get('features.watchModules', false)) {
+            this.startWatching();
+        }
+
     }
 
 
 
 setupHelpSystem() {
-    const helpPreferences = new Map();
-
-    const getUserPermissions = (userId) => {
-        const owner = config.get('bot.owner')?.split('@')[0]; // Get owner ID without domain
-        const isOwner = owner === userId;
-        const admins = config.get('bot.admins') || [];
-        const isAdmin = admins.includes(userId);
-        return isOwner ? ['public', 'admin', 'owner'] : isAdmin ? ['public', 'admin'] : ['public'];
-    };
-
-    const helpCommand = {
-        name: 'help',
-        description: 'Show available commands or help for a module',
-        usage: '.help [module_name] | .help 1|2 | .help show 1|2|3',
-        permissions: 'public',
-        execute: async (msg, params, context) => {
-        const userId = context.sender.split('@')[0]; // Normalize userId
-        const userPerms = getUserPermissions(userId);
-
-        const helpConfig = config.get('help') || {};
-        const defaultStyle = helpConfig.defaultStyle || 1;
-        const defaultShow = helpConfig.defaultShow || 'description';
-        const pref = helpPreferences.get(userId) || { style: defaultStyle, show: defaultShow };
-
-            // Handle `.help 1` / `.help 2` (style switch)
-            if (params.length === 1 && ['1', '2'].includes(params[0])) {
-                pref.style = Number(params[0]);
-                helpPreferences.set(userId, pref);
-                await context.bot.sendMessage(context.sender, {
-                    text: `✅ Help style set to *${pref.style}*`
-                });
-                return;
-            }
-
-            // Handle `.help show 1|2|3`
-            if (params.length === 2 && params[0] === 'show') {
-                const map = { '1': 'description', '2': 'usage', '3': 'none' };
-                if (!map[params[1]]) {
-                    return await context.bot.sendMessage(context.sender, {
-                        text: `❌ Invalid show option.\nUse:\n.help show 1 (description)\n.help show 2 (usage)\n.help show 3 (none)`
-                    });
-                }
-                pref.show = map[params[1]];
-                helpPreferences.set(userId, pref);
-                return await context.bot.sendMessage(context.sender, {
-                    text: `✅ Help display mode set to *${pref.show}*`
-                });
-            }
-
-            // Handle `.help [module]`
-            if (params.length === 1) {
-                const moduleName = params[0].toLowerCase();
-                const moduleInfo = this.getModule(moduleName);
-
-                if (!moduleInfo) {
-                    return await context.bot.sendMessage(context.sender, {
-                        text: `❌ Module *${moduleName}* not found.\nUse *.help* to view available modules.`
-                    });
-                }
-
-                const commands = Array.isArray(moduleInfo.commands) ? moduleInfo.commands : [];
-
-                const visibleCommands = commands.filter(cmd => {
-                    const perms = Array.isArray(cmd.permissions) ? cmd.permissions : [cmd.permissions];
-                    return perms.some(p => userPerms.includes(p));
-                });
-
-                let out = '';
-                if (pref.style === 2) {
-                    out += `██▓▒░ *${moduleName}*\n\n`;
-                    for (const cmd of visibleCommands) {
-                        const info = pref.show === 'usage' ? cmd.usage : cmd.description;
-                        if (pref.show === 'none') {
-                            out += `  ↳ *${cmd.name}*\n`;
-                        } else {
-                            out += `  ↳ *${cmd.name}*: ${info}\n`;
-                        }
-                    }
-                } else {
-                    out += `╔══  *${moduleName}* ══\n`;
-                    for (const cmd of visibleCommands) {
-                        const info = pref.show === 'usage' ? cmd.usage : cmd.description;
-                        if (pref.show === 'none') {
-                            out += `║ *${cmd.name}*\n`;
-                        } else {
-                            out += `║ *${cmd.name}* – ${info}\n`;
-                        }
-                    }
-                    out += `╚═══════════════`;
-                }
-
-                return await context.bot.sendMessage(context.sender, { text: out });
-            }
-
-            // Render all modules
-            const systemModules = [];
-            const customModules = [];
-
-            for (const [name, moduleInfo] of this.modules) {
-                const entry = { name, instance: moduleInfo.instance };
-                moduleInfo.isSystem ? systemModules.push(entry) : customModules.push(entry);
-            }
-
-            const renderModuleBlock = (modules) => {
-                let block = '';
-                for (const mod of modules) {
-                    const commands = Array.isArray(mod.instance.commands) ? mod.instance.commands : [];
-                    const visible = commands.filter(c => {
-                        const perms = Array.isArray(c.permissions) ? c.permissions : [c.permissions];
-                        return perms.some(p => userPerms.includes(p));
-                    });
-                    if (visible.length === 0) continue;
-
-                    if (pref.style === 2) {
-                        block += `██▓▒░ *${mod.name}*\n\n`;
-                        for (const cmd of visible) {
-                            const info = pref.show === 'usage' ? cmd.usage : cmd.description;
-                            if (pref.show === 'none') {
-                                block += `  ↳ *${cmd.name}*\n`;
-                            } else {
-                                block += `  ↳ *${cmd.name}*: ${info}\n`;
-                            }
-                        }
-                        block += `\n`;
-                    } else {
-                        block += `╔══  *${mod.name}* ══\n`;
-                        for (const cmd of visible) {
-                            const info = pref.show === 'usage' ? cmd.usage : cmd.description;
-                            if (pref.show === 'none') {
-                                block += `║ *${cmd.name}*\n`;
-                            } else {
-                                block += `║ *${cmd.name}* – ${info}\n`;
-                            }
-                        }
-                        block += `╚═══════════════\n\n`;
-                    }
-                }
-                return block;
-            };
-            let helpText = `🤖 *${config.get('bot.name')} Help Menu*\n\n`;
-helpText += renderModuleBlock(systemModules);
-helpText += renderModuleBlock(customModules);
-await context.bot.sendMessage(context.sender, { text: helpText.trim() });
-
-        }
-    };
-
-    this.bot.messageHandler.registerCommandHandler('help', helpCommand);
+    this.bot.help.register();
 }
 
     getCommandModule(commandName) {
@@ -349,18 +482,78 @@ await context.bot.sendMessage(context.sender, { text: helpText.trim() });
         return 'Core System';
     }
 
+    /**
+     * Load a single module file, e.g. one sent with `.lm`.
+     * @returns {Promise<{status: string, reason: ?string}>} The module's status afterwards.
+     */
     async loadModule(filePath, isSystem) {
-        const moduleId = path.basename(filePath, '.js');
+        const entry = this.prepareModule(filePath, isSystem);
+        if (!entry) return this.moduleStatus.get(path.basename(filePath, '.js'));
+
+        await this.activateModule(entry);
+        return this.moduleStatus.get(entry.id);
+    }
+
+    /**
+     * Load an installed module folder (see readBundle() for its manifest).
+     * @returns {Promise<{status: string, reason: ?string}>}
+     */
+    async loadBundle(dir) {
+        const entry = this.prepareBundle(dir);
+        if (!entry) return this.moduleStatus.get(path.basename(dir));
 
+        await this.activateModule(entry);
+        return this.moduleStatus.get(entry.id);
+    }
+
+    prepareBundle(dir) {
+        let bundle;
         try {
-            delete require.cache[require.resolve(filePath)];
-            const mod = require(filePath);
+            bundle = readBundle(dir);
+        } catch (err) {
+            this.setModuleStatus(path.basename(dir), 'failed', err.message, false);
+            logger.error(`❌ Failed to read module folder ${dir}: ${err.message}`);
+            return null;
+        }
+        return this.prepareModule(path.join(dir, bundle.manifest.main), false, bundle);
+    }
 
-            const moduleInstance = typeof mod === 'function' && /^\s*class\s/.test(mod.toString()) 
-                                   ? new mod(this.bot) 
-                                   : mod;
+    /**
+     * Require and instantiate a module without initialising it.
+     * @param {string} filePath
+     * @param {boolean} isSystem
+     * @param {object} [bundle] - readBundle() result when the file is an installed module's main file.
+     * @returns {?{id: string, instance: object, path: string, isSystem: boolean, requires: string[], optional: string[], sandboxed: ?object, bundleRoot: ?string}}
+     */
+    prepareModule(filePath, isSystem, bundle = null) {
+        const moduleId = bundle ? bundle.manifest.name : path.basename(filePath, '.js');
+
+        try {
+            // Custom modules run in a vm context limited to the capabilities approved for them
+            const sandboxed = !isSystem && this.sandbox.isEnabled()
+                ? this.sandbox.instantiate(filePath, bundle && { key: moduleId, sha256: bundle.sha256, root: bundle.root })
+                : null;
+
+            let moduleInstance;
+            if (sandboxed) {
+                moduleInstance = sandboxed.instance;
+            } else {
+                // A bundle's other files must be read again too
+                const stale = bundle
+                    ? Object.keys(require.cache).filter(file => file.startsWith(bundle.root + path.sep))
+                    : [require.resolve(filePath)];
+                stale.forEach(file => delete require.cache[file]);
+                const mod = require(filePath);
+
+                moduleInstance = typeof mod === 'function' && /^\s*class\s/.test(mod.toString()) 
+                                 ? new mod(this.bot) 
+                                 : mod;
+            }
 
             const actualModuleId = (moduleInstance && moduleInstance.name) ? moduleInstance.name : moduleId;
+            if (bundle && actualModuleId !== moduleId) {
+                throw new Error(`module is named ${actualModuleId} but ${MANIFEST} says ${moduleId}`);
+            }
 
             // Validate module structure
             if (!moduleInstance.metadata) {
@@ -373,10 +566,161 @@ await context.bot.sendMessage(context.sender, { text: helpText.trim() });
                 };
             }
 
-            if (moduleInstance.init && typeof moduleInstance.init === 'function') {
+            // An installed module's manifest dependencies count as required ones
+            const { requires, optional } = this.parseDependencies({
+                ...moduleInstance.metadata,
+                dependencies: [...(moduleInstance.metadata.dependencies || []), ...(bundle?.manifest.dependencies || [])]
+            });
+            this.setModuleStatus(actualModuleId, 'pending', null, isSystem);
+
+            return {
+                id: actualModuleId, instance: moduleInstance, path: filePath, isSystem, requires, optional, sandboxed,
+                bundleRoot: bundle ? bundle.root : null
+            };
+        } catch (err) {
+            // Unreviewed or edited custom modules wait for `.lm` rather than counting as broken
+            this.setModuleStatus(moduleId, err instanceof CapabilityError ? 'skipped' : 'failed', err.message, isSystem);
+            logger.error(`❌ Failed to load module '${moduleId}' from ${filePath}`);
+            logger.error(`Error message: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * `metadata.dependencies` entries are names, or `{ name, optional: true }`;
+     * `metadata.optionalDependencies` is a list of names. A name is another
+     * module's name or, when no module has it, an npm package.
+     */
+    parseDependencies(metadata) {
+        const requires = [];
+        const optional = [...(metadata.optionalDependencies || [])];
+
+        for (const dep of metadata.dependencies || []) {
+            if (typeof dep === 'string') {
+                requires.push(dep);
+            } else if (dep?.name) {
+                (dep.optional ? optional : requires).push(dep.name);
+            }
+        }
+
+        return { requires, optional };
+    }
+
+    /**
+     * Order modules so each comes after the modules it depends on, keeping
+     * directory order otherwise. Modules in a cycle are marked failed.
+     */
+    sortByDependencies(entries) {
+        const byId = new Map(entries.map(entry => [entry.id, entry]));
+        const sorted = [];
+        const placed = new Set();
+        let remaining = entries;
+
+        while (remaining.length > 0) {
+            const ready = remaining.filter(entry =>
+                [...entry.requires, ...entry.optional].every(dep => !byId.has(dep) || dep === entry.id || placed.has(dep))
+            );
+
+            if (ready.length === 0) {
+                const cycle = remaining.map(entry => entry.id).join(', ');
+                for (const entry of remaining) {
+                    this.setModuleStatus(entry.id, 'failed', `circular dependency between ${cycle}`, entry.isSystem);
+                }
+                break;
+            }
+
+            for (const entry of ready) {
+                sorted.push(entry);
+                placed.add(entry.id);
+            }
+            remaining = remaining.filter(entry => !placed.has(entry.id));
+        }
+
+        return sorted;
+    }
+
+    // Loaded module, or an installed package when no module by that name was ever seen
+    isDependencyAvailable(name) {
+        if (this.modules.has(name)) return true;
+        if (this.moduleStatus.has(name)) return false;
+
+        try {
+            require.resolve(name);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Check dependencies, inject them as `this.deps`, run init() and register
+     * commands, hooks and middlewares. A module whose required dependency is
+     * missing is skipped; one missing only optional ones, or required
+     * settings (see ModuleConfig), loads as degraded.
+     */
+    async activateModule({ id: actualModuleId, instance: moduleInstance, path: filePath, isSystem, requires, optional, state, sandboxed, bundleRoot }) {
+        const missing = requires.filter(dep => !this.isDependencyAvailable(dep));
+        if (missing.length > 0) {
+            this.setModuleStatus(actualModuleId, 'skipped', `missing required dependency ${missing.join(', ')}`, isSystem);
+            return false;
+        }
+
+        const unavailable = optional.filter(dep => !this.isDependencyAvailable(dep));
+
+        // Modules reach each other through this.deps.<name>; a missing optional module is null.
+        // Sandboxed modules get no other instances, which would hand them the unrestricted bot.
+        moduleInstance.deps = {};
+        for (const dep of sandboxed ? [] : [...requires, ...optional]) {
+            if (this.modules.has(dep) || unavailable.includes(dep)) {
+                moduleInstance.deps[dep] = this.getModule(dep);
+            }
+        }
+
+        // Everything the module registers goes through here so unload can undo exactly that
+        const registry = new ModuleRegistry(this.bot, actualModuleId);
+        moduleInstance.registry = sandboxed
+            ? Object.freeze({
+                setInterval: registry.setInterval.bind(registry),
+                setTimeout: registry.setTimeout.bind(registry),
+                clearTimer: registry.clearTimer.bind(registry)
+            })
+            : registry;
+
+        // Key/value data that survives restarts, private to the module
+        const storage = this.storage.forModule(actualModuleId);
+        moduleInstance.storage = sandboxed
+            ? Object.freeze({
+                get: storage.get.bind(storage),
+                set: storage.set.bind(storage),
+                has: storage.has.bind(storage),
+                delete: storage.delete.bind(storage),
+                list: storage.list.bind(storage),
+                clear: storage.clear.bind(storage)
+            })
+            : storage;
+
+        // Settings declared in configSchema; without its required ones the module only explains what to set
+        const moduleConfig = new ModuleConfig(actualModuleId, moduleInstance.configSchema || {}, registry);
+        moduleInstance.config = sandboxed
+            ? Object.freeze({
+                get: moduleConfig.get.bind(moduleConfig),
+                getAll: moduleConfig.getAll.bind(moduleConfig),
+                has: moduleConfig.has.bind(moduleConfig),
+                onChange: moduleConfig.onChange.bind(moduleConfig)
+            })
+            : moduleConfig;
+        const unconfigured = moduleConfig.missing();
+
+        try {
+            if (unconfigured.length === 0 && moduleInstance.init && typeof moduleInstance.init === 'function') {
                 await moduleInstance.init();
             }
 
+            // State carried over from the previous copy on reload
+            if (unconfigured.length === 0 && state !== undefined && typeof moduleInstance.restore === 'function') {
+                await moduleInstance.restore(state);
+            }
+
             if (Array.isArray(moduleInstance.commands)) {
                 for (const cmd of moduleInstance.commands) {
     if (!cmd.name || !cmd.description || !cmd.usage || !cmd.execute) {
@@ -385,9 +729,17 @@ await context.bot.sendMessage(context.sender, { text: helpText.trim() });
     }
 
                     const ui = cmd.ui || {};
+                    const runnable = unconfigured.length > 0
+                        ? {
+                            ...cmd,
+                            execute: (msg, params, context) => context.bot.sendMessage(context.sender, {
+                                text: this.bot.prefixes.render(moduleConfig.describeMissing(), context.sender)
+                            })
+                        }
+                        : sandboxed ? sandboxed.wrapCommand(cmd) : cmd;
 
                     // Only wrap commands that have UI config (structured modules)
-const shouldWrap = cmd.ui && (cmd.autoWrap !== false);
+const shouldWrap = cmd.ui && (cmd.autoWrap !== false) && unconfigured.length === 0;
 const wrappedCmd = shouldWrap ? {
     ...cmd,
     execute: async (msg, params, context) => {
@@ -395,36 +747,64 @@ const wrappedCmd = shouldWrap ? {
             processingText: ui.processingText || `⏳ Running *${cmd.name}*...`,
             errorText: ui.errorText || `❌ *${cmd.name}* failed.`,
             actionFn: async () => {
-                return await cmd.execute(msg, params, context);
+                return await runnable.execute(msg, params, context);
             }
         });
     }
-} : cmd; // Use original command without wrapping
+} : runnable; // Use original command without wrapping
 
 
-                    this.bot.messageHandler.registerCommandHandler(cmd.name, wrappedCmd);
+                    registry.registerCommand(cmd.name, wrappedCmd);
 
                     // Register aliases if they exist
                     if (cmd.aliases && Array.isArray(cmd.aliases)) {
                         for (const alias of cmd.aliases) {
                             if (alias && typeof alias === 'string') {
-                                this.bot.messageHandler.registerCommandHandler(alias, wrappedCmd);
+                                registry.registerCommand(alias, wrappedCmd);
                                 logger.debug(`📝 Registered alias: ${alias} -> ${cmd.name}`);
                             }
                         }
                     }
                 }
             }
-            if (moduleInstance.messageHooks && typeof moduleInstance.messageHooks === 'object' && moduleInstance.messageHooks !== null) {
+            if (unconfigured.length === 0 && moduleInstance.messageHooks && typeof moduleInstance.messageHooks === 'object' && moduleInstance.messageHooks !== null) {
                 for (const [hook, fn] of Object.entries(moduleInstance.messageHooks)) {
-                    this.bot.messageHandler.registerMessageHook(hook, fn.bind(moduleInstance));
+                    const bound = fn.bind(moduleInstance);
+                    registry.registerHook(hook, sandboxed ? sandboxed.wrapHook(bound) : bound);
+                }
+            }
+
+            // Command middlewares: { name, before, around, after, priority }
+            if (unconfigured.length === 0 && Array.isArray(moduleInstance.middlewares)) {
+                // Middlewares see every command's context, including the real bot
+                if (sandboxed && moduleInstance.middlewares.length > 0) {
+                    throw new CapabilityError('sandboxed modules cannot add command middlewares');
+                }
+                for (const mw of moduleInstance.middlewares) {
+                    if (!mw || !mw.name) {
+                        logger.warn(`⚠️ Middleware without a name in module ${actualModuleId}`);
+                        continue;
+                    }
+                    registry.registerMiddleware(mw.name, {
+                        before: mw.before?.bind(moduleInstance),
+                        around: mw.around?.bind(moduleInstance),
+                        after: mw.after?.bind(moduleInstance)
+                    }, { priority: mw.priority });
                 }
             }
 
             this.modules.set(actualModuleId, {
                 instance: moduleInstance,
                 path: filePath,
-                isSystem
+                isSystem,
+                requires,
+                optional,
+                registry,
+                config: moduleConfig,
+                unconfigured,
+                sandboxed,
+                bundleRoot,
+                loadedAt: Date.now()
             });
 
             if (isSystem) {
@@ -433,12 +813,50 @@ const wrappedCmd = shouldWrap ? {
                 this.customModulesCount++;
             }
 
-} catch (err) {
-    logger.error(`❌ Failed to load module '${moduleId}' from ${filePath}`);
-    logger.error(`Error message: ${err.message}`);
+            const limits = [
+                unconfigured.length > 0 ? `missing config ${unconfigured.join(', ')}` : null,
+                unavailable.length > 0 ? `optional dependency ${unavailable.join(', ')} unavailable` : null
+            ].filter(Boolean);
+            if (limits.length > 0) {
+                this.setModuleStatus(actualModuleId, 'degraded', limits.join('; '), isSystem);
+            } else {
+                this.setModuleStatus(actualModuleId, 'loaded', null, isSystem);
+            }
+            return true;
+
+        } catch (err) {
+            // Don't leave timers or half the commands of a module that never finished loading
+            registry.dispose();
+            this.setModuleStatus(actualModuleId, 'failed', err.message, isSystem);
+            logger.error(`❌ Failed to load module '${actualModuleId}' from ${filePath}`);
+            logger.error(`Error message: ${err.message}`);
+            return false;
+        }
+    }
+
+    setModuleStatus(name, status, reason = null, isSystem = false) {
+        this.moduleStatus.set(name, { status, reason, isSystem });
+    }
 
-}
+    getModuleStatus(name) {
+        return this.moduleStatus.get(name) || null;
+    }
 
+    // Anything that did not load cleanly gets its own log line instead of disappearing
+    reportModuleStatus() {
+        const icons = { degraded: '⚠️', skipped: '⏭️', failed: '❌' };
+        for (const [name, { status, reason }] of this.moduleStatus) {
+            if (!icons[status]) continue;
+            const log = status === 'failed' ? logger.error : logger.warn;
+            log.call(logger, `${icons[status]} Module ${name} ${status}: ${reason}`);
+        }
+    }
+
+    // Loaded modules that cannot run without `name`
+    getDependents(name) {
+        return [...this.modules]
+            .filter(([id, info]) => id !== name && info.requires?.includes(name))
+            .map(([id]) => id);
     }
 
     getModule(name) {
@@ -449,33 +867,181 @@ const wrappedCmd = shouldWrap ? {
         return [...this.modules.keys()];
     }
     
-    async unloadModule(moduleId) {
+    /**
+     * @param {string} moduleId
+     * @param {{reloading?: boolean}} [options] - A reload swaps the instance under its dependents instead of refusing.
+     */
+    async unloadModule(moduleId, { reloading = false } = {}) {
         const moduleInfo = this.modules.get(moduleId);
         if (!moduleInfo) {
             throw new Error(`Module ${moduleId} not found`);
         }
 
-        if (moduleInfo.instance.destroy && typeof moduleInfo.instance.destroy === 'function') {
-            await moduleInfo.instance.destroy();
+        const dependents = reloading ? [] : this.getDependents(moduleId);
+        if (dependents.length > 0) {
+            throw new Error(`Module ${moduleId} is required by ${dependents.join(', ')}`);
         }
 
-        if (Array.isArray(moduleInfo.instance.commands)) {
-            for (const cmd of moduleInfo.instance.commands) {
-                if (cmd.name) {
-                    this.bot.messageHandler.unregisterCommandHandler(cmd.name);
-                }
-            }
-        }
-        if (moduleInfo.instance.messageHooks && typeof moduleInfo.instance.messageHooks === 'object') {
-            for (const hook of Object.keys(moduleInfo.instance.messageHooks)) {
-                this.bot.messageHandler.unregisterMessageHook(hook);
+        if (moduleInfo.instance.destroy && typeof moduleInfo.instance.destroy === 'function') {
+            try {
+                await moduleInfo.instance.destroy();
+            } catch (error) {
+                logger.warn(`⚠️ destroy() of ${moduleId} failed: ${error.message}`);
             }
         }
 
+        // Commands, aliases, hooks, middlewares, timers and listeners it added, and nothing else
+        moduleInfo.registry.dispose();
+
         this.modules.delete(moduleId);
+        this.moduleStatus.delete(moduleId);
         delete require.cache[moduleInfo.path];
         logger.info(`🚫 Unloaded module: ${moduleId}`);
     }
+
+    /**
+     * Replace a module with a fresh copy of its file. Whatever the old copy's
+     * `serialize()` returns is passed to the new copy's `restore()` after init.
+     * If the new copy cannot be required or activated, the old copy is
+     * activated again with that state and keeps running.
+     * @returns {Promise<{status: string, reason: ?string}>}
+     */
+    async reloadModule(moduleId) {
+        const moduleInfo = this.modules.get(moduleId);
+        if (!moduleInfo) {
+            // A module that failed or was skipped at startup can be retried by name
+            const filePath = [this.systemPath, this.customPath]
+                .map(dir => path.join(dir, `${moduleId}.js`))
+                .find(file => fs.existsSync(file));
+            if (filePath && this.moduleStatus.has(moduleId)) {
+                return this.loadModule(filePath, path.dirname(filePath) === this.systemPath);
+            }
+            if (this.moduleStatus.has(moduleId) && await fs.pathExists(path.join(this.customPath, moduleId, MANIFEST))) {
+                return this.loadBundle(path.join(this.customPath, moduleId));
+            }
+            throw new Error(`Module ${moduleId} not found`);
+        }
+
+        const previousStatus = this.moduleStatus.get(moduleId);
+        let fileId = path.basename(moduleInfo.path, '.js');
+        let entry;
+
+        if (moduleInfo.bundleRoot) {
+            fileId = path.basename(moduleInfo.bundleRoot);
+            entry = this.prepareBundle(moduleInfo.bundleRoot);
+        } else {
+            entry = this.prepareModule(moduleInfo.path, moduleInfo.isSystem);
+        }
+
+        if (!entry) {
+            const { reason } = this.moduleStatus.get(fileId) || this.moduleStatus.get(moduleId);
+            this.moduleStatus.delete(fileId);
+            this.moduleStatus.set(moduleId, previousStatus);
+            throw new Error(`${reason} (the previous version is still running)`);
+        }
+
+        const old = moduleInfo.instance;
+        if (typeof old.serialize === 'function') {
+            entry.state = await old.serialize();
+        }
+
+        await this.unloadModule(moduleId, { reloading: true });
+        if (moduleInfo.isSystem) {
+            this.systemModulesCount--;
+        } else {
+            this.customModulesCount--;
+        }
+
+        if (!await this.activateModule(entry)) {
+            // Bring the old copy back, so the module and the dependents holding it keep working
+            const { reason } = this.moduleStatus.get(entry.id);
+            if (entry.id !== moduleId) this.moduleStatus.delete(entry.id);
+
+            const restored = await this.activateModule({
+                id: moduleId,
+                instance: old,
+                path: moduleInfo.path,
+                isSystem: moduleInfo.isSystem,
+                requires: moduleInfo.requires,
+                optional: moduleInfo.optional,
+                state: entry.state,
+                sandboxed: moduleInfo.sandboxed,
+                bundleRoot: moduleInfo.bundleRoot
+            });
+            if (!restored) {
+                throw new Error(`${reason}; the previous version could not be started again either`);
+            }
+            throw new Error(`${reason} (the previous version is still running)`);
+        }
+
+        // Dependents were handed the old instance in this.deps
+        for (const [, info] of this.modules) {
+            if (info.instance.deps && moduleId in info.instance.deps) {
+                info.instance.deps[moduleId] = this.getModule(entry.id);
+            }
+        }
+
+        logger.info(`🔄 Reloaded module: ${moduleId}`);
+        return this.moduleStatus.get(entry.id);
+    }
+
+    findModuleByPath(filePath) {
+        for (const [moduleId, moduleInfo] of this.modules) {
+            if (moduleInfo.path === filePath) return moduleId;
+        }
+        return null;
+    }
+
+    // Development aid (`features.watchModules`): reload modules when their files change
+    startWatching() {
+        if (this.watchers.length > 0) return;
+
+        for (const [dir, isSystem] of [[this.systemPath, true], [this.customPath, false]]) {
+            const watcher = fs.watch(dir, (event, file) => {
+                if (!file || !file.endsWith('.js')) return;
+
+                // Editors write a file in several steps; act once it settles
+                clearTimeout(this.reloadTimers.get(file));
+                this.reloadTimers.set(file, setTimeout(() => {
+                    this.reloadTimers.delete(file);
+                    this.handleFileChange(path.join(dir, file), isSystem).catch(error => {
+                        logger.error(`❌ Failed to apply change to ${file}: ${error.message}`);
+                    });
+                }, 300));
+            });
+            this.watchers.push(watcher);
+        }
+
+        logger.info('👀 Watching module files for changes');
+    }
+
+    stopWatching() {
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+        this.reloadTimers.forEach(timer => clearTimeout(timer));
+        this.reloadTimers.clear();
+    }
+
+    async handleFileChange(filePath, isSystem) {
+        const moduleId = this.findModuleByPath(filePath);
+
+        if (!await fs.pathExists(filePath)) {
+            if (moduleId) await this.unloadModule(moduleId);
+            return;
+        }
+
+        if (!moduleId) {
+            const result = await this.loadModule(filePath, isSystem);
+            logger.info(`👀 New module file ${path.basename(filePath)}: ${result?.status || 'failed'}`);
+            return;
+        }
+
+        // `.lm` writes the file and loads it itself; nothing left to do
+        const { mtimeMs } = await fs.stat(filePath);
+        if (mtimeMs <= this.modules.get(moduleId).loadedAt) return;
+
+        await this.reloadModule(moduleId);
+    }
 }
 
 module.exports = ModuleLoader;
@@ -0,0 +1,132 @@
+const logger = require('./logger');
+const config = require('../config');
+
+/**
+ * Everything one module added to the bot, so unloading removes exactly that.
+ *
+ * The loader registers a module's commands, aliases, hooks and middlewares
+ * through it, and hands it to the module as `this.registry` before init().
+ * Timers and event listeners a module starts through the registry are
+ * stopped when the module is unloaded:
+ *
+ *   this.registry.setInterval(() => this.cleanup(), 60000);
+ *   this.registry.on(this.bot.sock.ev, 'chats.update', handler);
+ *   this.registry.onConfig('features.autoReply', value => { this.autoReply = value; });
+ */
+class ModuleRegistry {
+    constructor(bot, moduleName) {
+        this.bot = bot;
+        this.moduleName = moduleName;
+        this.commands = new Map();  // name (or alias) -> handler
+        this.hooks = new Set();     // hook names
+        this.middlewares = new Set();
+        this.timers = new Set();
+        this.listeners = [];        // { emitter, event, listener }
+    }
+
+    registerCommand(name, handler) {
+        this.bot.messageHandler.registerCommandHandler(name, handler);
+        this.commands.set(name.toLowerCase(), handler);
+    }
+
+    unregisterCommand(name) {
+        const handler = this.commands.get(name.toLowerCase());
+        if (!handler) return;
+        this.bot.messageHandler.unregisterCommandHandler(name, handler);
+        this.commands.delete(name.toLowerCase());
+    }
+
+    registerHook(hookName, handler) {
+        this.bot.messageHandler.registerMessageHook(hookName, handler, this.moduleName);
+        this.hooks.add(hookName);
+    }
+
+    registerMiddleware(name, middleware, options = {}) {
+        this.bot.messageHandler.useMiddleware(name, middleware, { ...options, owner: this.moduleName });
+        this.middlewares.add(name);
+    }
+
+    setInterval(fn, ms) {
+        const timer = setInterval(fn, ms);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    setTimeout(fn, ms) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, ms);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    clearTimer(timer) {
+        clearTimeout(timer); // Also clears intervals
+        this.timers.delete(timer);
+    }
+
+    on(emitter, event, listener) {
+        emitter.on(event, listener);
+        this.listeners.push({ emitter, event, listener });
+        return listener;
+    }
+
+    off(emitter, event, listener) {
+        emitter.off(event, listener);
+        this.listeners = this.listeners.filter(l => !(l.emitter === emitter && l.event === event && l.listener === listener));
+    }
+
+    /**
+     * Follow a config key (`features.autoReply`) or everything under a
+     * prefix (`features.*`). The listener gets the new value and
+     * `{ key, value, oldValue }`.
+     */
+    onConfig(key, listener) {
+        return this.on(config, `change:${key}`, listener);
+    }
+
+    // Counts for `.modules` and logs
+    summary() {
+        return {
+            commands: this.commands.size,
+            hooks: this.hooks.size,
+            middlewares: this.middlewares.size,
+            timers: this.timers.size,
+            listeners: this.listeners.length
+        };
+    }
+
+    /**
+     * Remove everything recorded. A command name since taken over by another
+     * module keeps that module's handler.
+     */
+    dispose() {
+        const handler = this.bot.messageHandler;
+
+        for (const [name, command] of this.commands) {
+            handler.unregisterCommandHandler(name, command);
+        }
+        for (const hookName of this.hooks) {
+            handler.unregisterMessageHook(hookName, this.moduleName);
+        }
+        for (const name of this.middlewares) {
+            handler.removeMiddleware(name, this.moduleName);
+        }
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        for (const { emitter, event, listener } of this.listeners) {
+            emitter.off(event, listener);
+        }
+
+        logger.debug(`🧹 Disposed ${this.moduleName}: ${JSON.stringify(this.summary())}`);
+        this.commands.clear();
+        this.hooks.clear();
+        this.middlewares.clear();
+        this.timers.clear();
+        this.listeners = [];
+    }
+}
+
+module.exports = ModuleRegistry;
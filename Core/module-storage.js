@@ -0,0 +1,241 @@
+const path = require('path');
+const fs = require('fs-extra');
+const logger = require('./logger');
+const config = require('../config');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `module_storage` collection: { _id: '<namespace>:<key>', namespace, key, value, expiresAt, updatedAt }
+class MongoBackend {
+    constructor(db) {
+        this.collection = db.collection('module_storage');
+    }
+
+    async init() {
+        // Mongo removes expired documents itself, about once a minute
+        await this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await this.collection.createIndex({ namespace: 1, key: 1 });
+    }
+
+    async get(namespace, key) {
+        const doc = await this.collection.findOne({ _id: `${namespace}:${key}` });
+        if (!doc || (doc.expiresAt && doc.expiresAt <= new Date())) return undefined;
+        return doc.value;
+    }
+
+    async set(namespace, key, value, expiresAt) {
+        await this.collection.replaceOne(
+            { _id: `${namespace}:${key}` },
+            { namespace, key, value, expiresAt, updatedAt: new Date() },
+            { upsert: true }
+        );
+    }
+
+    async delete(namespace, key) {
+        const result = await this.collection.deleteOne({ _id: `${namespace}:${key}` });
+        return result.deletedCount > 0;
+    }
+
+    async list(namespace, prefix) {
+        const docs = await this.collection.find({
+            namespace,
+            key: { $regex: `^${escapeRegExp(prefix)}` },
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        }).toArray();
+        return docs.map(doc => ({ key: doc.key, value: doc.value }));
+    }
+
+    async clear(namespace) {
+        await this.collection.deleteMany({ namespace });
+    }
+}
+
+// One JSON file per namespace: { "<key>": { value, expiresAt } }
+class FileBackend {
+    constructor(dir) {
+        this.dir = dir;
+        this.namespaces = new Map(); // namespace -> { key: { value, expiresAt } }
+        this.writes = new Map();     // namespace -> pending write
+    }
+
+    async init() {
+        await fs.ensureDir(this.dir);
+    }
+
+    filePath(namespace) {
+        return path.join(this.dir, `${namespace.replace(/[^\w.-]/g, '_')}.json`);
+    }
+
+    async load(namespace) {
+        if (!this.namespaces.has(namespace)) {
+            let data = {};
+            try {
+                data = JSON.parse(await fs.readFile(this.filePath(namespace), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.warn(`⚠️ Could not read storage for ${namespace}: ${error.message}`);
+                }
+            }
+            this.namespaces.set(namespace, data);
+        }
+        return this.namespaces.get(namespace);
+    }
+
+    // Writes of one namespace run one after another; the file is replaced, never half-written
+    save(namespace) {
+        const previous = this.writes.get(namespace) || Promise.resolve();
+        const write = previous.then(async () => {
+            const file = this.filePath(namespace);
+            await fs.writeFile(`${file}.tmp`, JSON.stringify(this.namespaces.get(namespace)));
+            await fs.rename(`${file}.tmp`, file);
+        }).catch(error => {
+            logger.error(`❌ Could not save storage for ${namespace}: ${error.message}`);
+        });
+
+        this.writes.set(namespace, write);
+        return write;
+    }
+
+    isExpired(entry) {
+        return entry.expiresAt && new Date(entry.expiresAt) <= new Date();
+    }
+
+    async get(namespace, key) {
+        const data = await this.load(namespace);
+        const entry = data[key];
+        if (!entry) return undefined;
+
+        if (this.isExpired(entry)) {
+            delete data[key];
+            await this.save(namespace);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    async set(namespace, key, value, expiresAt) {
+        const data = await this.load(namespace);
+        // Round-trip through JSON so reads return what a restart would
+        data[key] = { value: JSON.parse(JSON.stringify(value ?? null)), expiresAt };
+        await this.save(namespace);
+    }
+
+    async delete(namespace, key) {
+        const data = await this.load(namespace);
+        if (!(key in data)) return false;
+
+        delete data[key];
+        await this.save(namespace);
+        return true;
+    }
+
+    async list(namespace, prefix) {
+        const data = await this.load(namespace);
+        return Object.entries(data)
+            .filter(([key, entry]) => key.startsWith(prefix) && !this.isExpired(entry))
+            .map(([key, entry]) => ({ key, value: entry.value }));
+    }
+
+    async clear(namespace) {
+        this.namespaces.set(namespace, {});
+        await this.save(namespace);
+    }
+}
+
+/**
+ * A module's own key/value store, injected as `this.storage` before init().
+ * Keys are private to the module; values must survive JSON.
+ *
+ *   await this.storage.set(`settings:${groupId}`, settings);
+ *   await this.storage.set(`session:${userId}`, history, { ttl: 3600000 });
+ *   const settings = await this.storage.get(`settings:${groupId}`, defaults);
+ *   for (const { key, value } of await this.storage.list('settings:')) { ... }
+ */
+class ModuleStorage {
+    constructor(backend, namespace) {
+        this.backend = backend;
+        this.namespace = namespace;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} [defaultValue] - Returned when the key is missing or expired.
+     */
+    async get(key, defaultValue = undefined) {
+        const value = await this.backend.get(this.namespace, key);
+        return value === undefined ? defaultValue : value;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @param {{ttl?: number}} [options] - `ttl` in milliseconds; kept forever without one.
+     */
+    async set(key, value, options = {}) {
+        const expiresAt = options.ttl > 0 ? new Date(Date.now() + options.ttl) : null;
+        await this.backend.set(this.namespace, key, value, expiresAt);
+    }
+
+    async has(key) {
+        return (await this.backend.get(this.namespace, key)) !== undefined;
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether the key existed.
+     */
+    async delete(key) {
+        return this.backend.delete(this.namespace, key);
+    }
+
+    /**
+     * Entries whose key starts with `prefix`, e.g. `list('settings:')`.
+     * @returns {Promise<Array<{key: string, value: *}>>}
+     */
+    async list(prefix = '') {
+        return this.backend.list(this.namespace, prefix);
+    }
+
+    async clear() {
+        await this.backend.clear(this.namespace);
+    }
+}
+
+/**
+ * Picks the storage backend and hands out one ModuleStorage per module.
+ * `moduleStorage.backend` is `mongo` or `file`; mongo falls back to files
+ * when there is no database.
+ */
+class StorageManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.backend = null;
+        this.stores = new Map(); // module name -> ModuleStorage
+    }
+
+    async init() {
+        const wanted = config.get('moduleStorage.backend', 'mongo');
+
+        if (wanted === 'mongo' && this.bot.db) {
+            this.backend = new MongoBackend(this.bot.db);
+        } else {
+            if (wanted === 'mongo') {
+                logger.warn('⚠️ No database, module storage falls back to files');
+            }
+            this.backend = new FileBackend(path.resolve(config.get('moduleStorage.filePath', './data/module-storage')));
+        }
+
+        await this.backend.init();
+        logger.info(`🗃️ Module storage: ${this.backend instanceof MongoBackend ? 'mongo' : 'file'}`);
+    }
+
+    forModule(name) {
+        if (!this.stores.has(name)) {
+            this.stores.set(name, new ModuleStorage(this.backend, name));
+        }
+        return this.stores.get(name);
+    }
+}
+
+module.exports = { StorageManager, ModuleStorage };
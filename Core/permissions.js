@@ -0,0 +1,271 @@
+const logger = require('./logger');
+const config = require('../config');
+
+// Built-in levels; any other string in `permissions` is a custom role name
+const BUILTIN_LEVELS = ['public', 'groupAdmin', 'admin', 'owner'];
+
+/**
+ * Resolves who may run a command.
+ *
+ * A command's `permissions` is a level (`public`, `groupAdmin`, `admin`,
+ * `owner`), a custom role name (e.g. `moderator`) or an array mixing role
+ * names and user ids. The owner passes every check and bot admins pass every
+ * check except `owner`. `groupAdmin` is read from live group metadata.
+ *
+ * Role membership and overrides live in the `permissions` collection:
+ *   { _id: 'role:<userId>', type: 'role', userId, roles: [...] }
+ *   { _id: 'override:command:<name>', type: 'override', scope, target, permission }
+ * A command override beats a module override, which beats the code default.
+ */
+class PermissionManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.collection = null;
+        this.roles = new Map();      // userId -> Set of role names
+        this.overrides = new Map();  // 'command:<name>' | 'module:<name>' -> permission
+        this.groupAdmins = new Map(); // chatId -> { admins: Set, expires }
+        this.groupCacheTtl = 30000;
+    }
+
+    async init() {
+        if (!this.bot.db) {
+            logger.warn('⚠️ No database, roles and permission overrides will not persist');
+            return;
+        }
+
+        this.collection = this.bot.db.collection('permissions');
+        const docs = await this.collection.find({}).toArray();
+
+        for (const doc of docs) {
+            if (doc.type === 'role' && Array.isArray(doc.roles)) {
+                this.roles.set(doc.userId, new Set(doc.roles));
+            } else if (doc.type === 'override') {
+                this.overrides.set(`${doc.scope}:${doc.target}`, doc.permission);
+            }
+        }
+
+        logger.info(`🔐 Permissions loaded: ${this.roles.size} users with roles, ${this.overrides.size} overrides`);
+    }
+
+    normalizeUserId(user) {
+        return String(user).split('@')[0].split(':')[0].replace(/^\+/, '');
+    }
+
+    // ---- Roles ----
+
+    async grant(user, role) {
+        const userId = this.normalizeUserId(user);
+        const roles = this.roles.get(userId) || new Set();
+        if (roles.has(role)) return false;
+
+        roles.add(role);
+        this.roles.set(userId, roles);
+        await this.saveRoles(userId);
+        logger.info(`🔐 Granted ${role} to ${userId}`);
+        return true;
+    }
+
+    async revoke(user, role) {
+        const userId = this.normalizeUserId(user);
+        const roles = this.roles.get(userId);
+        if (!roles?.delete(role)) return false;
+
+        if (roles.size === 0) this.roles.delete(userId);
+        await this.saveRoles(userId);
+        logger.info(`🔐 Revoked ${role} from ${userId}`);
+        return true;
+    }
+
+    async saveRoles(userId) {
+        if (!this.collection) return;
+        const roles = [...(this.roles.get(userId) || [])];
+
+        if (roles.length === 0) {
+            await this.collection.deleteOne({ _id: `role:${userId}` });
+        } else {
+            await this.collection.updateOne(
+                { _id: `role:${userId}` },
+                { $set: { type: 'role', userId, roles, updatedAt: new Date() } },
+                { upsert: true }
+            );
+        }
+    }
+
+    getRoles(user) {
+        return [...(this.roles.get(this.normalizeUserId(user)) || [])];
+    }
+
+    // Role names that exist anywhere: built-ins, granted roles and roles used in overrides
+    listRoles() {
+        const names = new Set(BUILTIN_LEVELS);
+        for (const roles of this.roles.values()) roles.forEach(role => names.add(role));
+        for (const permission of this.overrides.values()) {
+            (Array.isArray(permission) ? permission : [permission])
+                .filter(p => !/^\d+$/.test(p))
+                .forEach(p => names.add(p));
+        }
+        return [...names];
+    }
+
+    membersOf(role) {
+        const members = [...this.roles]
+            .filter(([, roles]) => roles.has(role))
+            .map(([userId]) => userId);
+        if (role === 'admin') {
+            members.push(...(config.get('admins') || []).map(String));
+        }
+        return [...new Set(members)];
+    }
+
+    // ---- Overrides ----
+
+    async setOverride(scope, target, permission) {
+        const key = `${scope}:${target}`;
+        this.overrides.set(key, permission);
+
+        if (this.collection) {
+            await this.collection.updateOne(
+                { _id: `override:${key}` },
+                { $set: { type: 'override', scope, target, permission, updatedAt: new Date() } },
+                { upsert: true }
+            );
+        }
+        logger.info(`🔐 Permission override ${key} -> ${JSON.stringify(permission)}`);
+    }
+
+    async clearOverride(scope, target) {
+        const key = `${scope}:${target}`;
+        if (!this.overrides.delete(key)) return false;
+
+        if (this.collection) {
+            await this.collection.deleteOne({ _id: `override:${key}` });
+        }
+        logger.info(`🔐 Permission override ${key} removed`);
+        return true;
+    }
+
+    getOverrides() {
+        return [...this.overrides].map(([key, permission]) => {
+            const [scope, ...rest] = key.split(':');
+            return { scope, target: rest.join(':'), permission };
+        });
+    }
+
+    /**
+     * Effective permission of a command after overrides.
+     * @param {object} handler - Registered command (may be reached through an alias).
+     * @param {string} [moduleName] - Owning module, looked up when omitted.
+     */
+    getRequired(handler, moduleName) {
+        const name = handler?.name;
+        if (name && this.overrides.has(`command:${name}`)) {
+            return this.overrides.get(`command:${name}`);
+        }
+
+        const owner = moduleName || (name && this.bot.moduleLoader?.getCommandModule(name));
+        if (owner && this.overrides.has(`module:${owner}`)) {
+            return this.overrides.get(`module:${owner}`);
+        }
+
+        return handler?.permissions || 'public';
+    }
+
+    // ---- Resolution ----
+
+    /**
+     * Everything needed to check a sender against any permission.
+     * @param {object} msg - Incoming message.
+     * @returns {Promise<{userId: string, isOwner: boolean, roles: Set<string>}>}
+     */
+    async resolveUser(msg) {
+        const chatId = msg.key.remoteJid;
+        const participant = msg.key.participant || chatId;
+        const userId = this.normalizeUserId(participant);
+        const isOwner = this.bot.messageHandler.isOwner(msg);
+
+        const roles = new Set(['public', ...(this.roles.get(userId) || [])]);
+        const admins = (config.get('admins') || []).map(String);
+        if (admins.includes(userId)) roles.add('admin');
+        if (isOwner) roles.add('owner').add('admin');
+
+        if (chatId.endsWith('@g.us') && (isOwner || await this.isGroupAdmin(chatId, participant))) {
+            roles.add('groupAdmin');
+        }
+
+        return { userId, isOwner, roles };
+    }
+
+    async isGroupAdmin(chatId, participant) {
+        let cached = this.groupAdmins.get(chatId);
+
+        if (!cached || cached.expires < Date.now()) {
+            try {
+                const metadata = await this.bot.sock.groupMetadata(chatId);
+                const admins = new Set();
+                for (const p of metadata.participants || []) {
+                    if (!p.admin) continue;
+                    [p.id, p.jid, p.lid, p.phoneNumber].filter(Boolean).forEach(id => admins.add(this.normalizeUserId(id)));
+                }
+                cached = { admins, expires: Date.now() + this.groupCacheTtl };
+                this.groupAdmins.set(chatId, cached);
+            } catch (error) {
+                logger.debug(`Could not fetch group metadata for ${chatId}: ${error.message}`);
+                return false;
+            }
+        }
+
+        return cached.admins.has(this.normalizeUserId(participant));
+    }
+
+    invalidateGroup(chatId) {
+        this.groupAdmins.delete(chatId);
+    }
+
+    /**
+     * Check a resolved user against a permission value.
+     * @param {{userId: string, isOwner: boolean, roles: Set<string>}} user - From resolveUser().
+     * @param {string|string[]} permission
+     */
+    allows(user, permission) {
+        if (user.isOwner) return true;
+
+        if (Array.isArray(permission)) {
+            return permission.some(p => String(p) === user.userId || (!/^\d+$/.test(p) && this.allows(user, p)));
+        }
+
+        // One user id, as `.perm set <command> <number>` stores it
+        if (/^\d+$/.test(String(permission))) {
+            return String(permission) === user.userId;
+        }
+
+        switch (permission) {
+            case 'public':
+                return true;
+            case 'owner':
+                return false;
+            default:
+                // Bot admins outrank group admins and custom roles
+                return user.roles.has('admin') || user.roles.has(permission);
+        }
+    }
+
+    /**
+     * Whether the sender of `msg` may run a command, including private mode and bans.
+     * @param {object} msg
+     * @param {object} handler - Registered command.
+     * @param {object} [user] - Pre-resolved user, to avoid resolving per command.
+     * @param {string} [moduleName] - Owning module, looked up when omitted.
+     */
+    async canRun(msg, handler, user, moduleName) {
+        user = user || await this.resolveUser(msg);
+
+        const blockedUsers = config.get('security.blockedUsers') || [];
+        if (!user.isOwner && blockedUsers.includes(user.userId)) return false;
+
+        if (config.get('features.mode') === 'private' && !user.roles.has('admin')) return false;
+
+        return this.allows(user, this.getRequired(handler, moduleName));
+    }
+}
+
+module.exports = PermissionManager;
@@ -0,0 +1,108 @@
+const logger = require('./logger');
+const config = require('../config');
+
+/**
+ * Command prefixes, globally and per chat.
+ *
+ * `bot.prefix` in the config is one prefix or a list (`['.', '!']`); the first
+ * is the one shown in help and replies. A chat can replace the list with its
+ * own through `.setprefix`, stored in the `chat_prefixes` collection:
+ *   { _id: '<chatId>', prefixes: [...] }
+ */
+class PrefixManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.collection = null;
+        this.chats = new Map(); // chatId -> [prefix, ...]
+    }
+
+    async init() {
+        if (!this.bot.db) {
+            logger.warn('⚠️ No database, per-chat prefixes will not persist');
+            return;
+        }
+
+        this.collection = this.bot.db.collection('chat_prefixes');
+        const docs = await this.collection.find({}).toArray();
+
+        for (const doc of docs) {
+            if (Array.isArray(doc.prefixes) && doc.prefixes.length) {
+                this.chats.set(doc._id, doc.prefixes);
+            }
+        }
+
+        logger.info(`🔣 Custom prefixes loaded for ${this.chats.size} chats`);
+    }
+
+    getGlobal() {
+        const prefixes = [].concat(config.get('bot.prefix') || '.').filter(Boolean);
+        return prefixes.length ? prefixes : ['.'];
+    }
+
+    /**
+     * Prefixes active in a chat; the global list when the chat has none.
+     * @param {string} [chatId]
+     */
+    get(chatId) {
+        return (chatId && this.chats.get(chatId)) || this.getGlobal();
+    }
+
+    primary(chatId) {
+        return this.get(chatId)[0];
+    }
+
+    hasCustom(chatId) {
+        return this.chats.has(chatId);
+    }
+
+    /**
+     * The prefix `text` starts with, or null.
+     * @param {string} text
+     * @param {string} [chatId]
+     */
+    match(text, chatId) {
+        if (!text) return null;
+        // Longest first, so `!!` is not read as `!` followed by a command named `!...`
+        const prefixes = [...this.get(chatId)].sort((a, b) => b.length - a.length);
+        return prefixes.find(prefix => text.startsWith(prefix)) ?? null;
+    }
+
+    async set(chatId, prefixes) {
+        this.chats.set(chatId, prefixes);
+
+        if (this.collection) {
+            await this.collection.updateOne(
+                { _id: chatId },
+                { $set: { prefixes, updatedAt: new Date() } },
+                { upsert: true }
+            );
+        }
+        logger.info(`🔣 Prefix for ${chatId} set to ${prefixes.join(' ')}`);
+    }
+
+    async reset(chatId) {
+        if (!this.chats.delete(chatId)) return false;
+
+        if (this.collection) {
+            await this.collection.deleteOne({ _id: chatId });
+        }
+        logger.info(`🔣 Prefix for ${chatId} reset`);
+        return true;
+    }
+
+    /**
+     * Rewrite `.command` references in usage and help text to the chat's prefix.
+     * Only registered command names are touched, so `.js` or `.mp4` stay as they are.
+     */
+    render(text, chatId) {
+        const prefix = this.primary(chatId);
+        if (!text || prefix === '.') return text;
+
+        const commands = this.bot.messageHandler.commandHandlers;
+        return text.replace(/(^|[\s|(*`"'])\.([a-z0-9][\w-]*)/gi, (whole, lead, name) =>
+            commands.has(name.toLowerCase()) ? `${lead}${prefix}${name}` : whole
+        );
+    }
+}
+
+module.exports = PrefixManager;
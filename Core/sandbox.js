@@ -0,0 +1,403 @@
+const fs = require('fs');
+const vm = require('vm');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const config = require('../config');
+
+class CapabilityError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CapabilityError';
+    }
+}
+
+const CAPABILITY_INFO = {
+    network: '🌐 Make HTTP and socket connections',
+    filesystem: '📁 Read and write files on the server',
+    sock: '📱 Use the raw WhatsApp socket (groups, profile, presence...)',
+    database: '🗄️ Read and write the bot database',
+    config: '⚙️ Read config key',
+    package: '📦 Load npm package'
+};
+
+// Harmless builtins every module may use
+const SAFE_BUILTINS = ['path', 'util', 'events', 'url', 'querystring', 'crypto', 'os', 'string_decoder', 'buffer', 'assert', 'timers'];
+
+const CAPABILITY_MODULES = {
+    network: ['http', 'https', 'net', 'tls', 'dns', 'http2', 'axios', 'node-fetch', 'undici'],
+    filesystem: ['fs', 'fs/promises', 'fs-extra']
+};
+
+// Nothing a module declares unlocks these
+const FORBIDDEN_MODULES = ['child_process', 'vm', 'worker_threads', 'cluster', 'module', 'v8', 'inspector', 'process'];
+
+// Repo files a module may require, matched by path ending so `../Core/logger` works from any folder
+const SHARED_MODULES = {
+    'core/logger': () => logger,
+    'utils/helpers': () => require('../utils/helpers'),
+    'utils/messagenormalizer': () => require('../utils/messageNormalizer')
+};
+
+/**
+ * Runs custom modules in a restricted vm context.
+ *
+ * A module lists what it needs in a header tag:
+ *
+ *   // @capabilities network, sock, config:bot.name, package:moment
+ *
+ * Capabilities are `network`, `filesystem`, `sock`, `database`,
+ * `config:<key>` (a trailing `.*` allows a subtree) and `package:<name>`.
+ * The source is scanned for requires, `fetch`, `.sock`, `.db` and config
+ * reads; anything used but not declared is refused before the code runs.
+ * At runtime `require`, `fetch`, `config` and the bot object only expose
+ * what was declared.
+ *
+ * Approved modules are recorded in the `module_approvals` collection with
+ * the hash of the reviewed source, so an edited file needs a new review:
+ *   { _id: '<fileName>', sha256, capabilities: [...], approvedBy, approvedAt }
+ *
+ * A vm context keeps honest modules inside their declared limits. It is not
+ * a security boundary: the context is given host objects (Buffer, timers,
+ * the bot facade, messages), and any of them leads back to the host
+ * `Function`, e.g. `Buffer.constructor('return process')()`, which
+ * codeGeneration does not block. Code written to escape gets the whole
+ * process, whatever it declares, so the review prompt says so and approving
+ * a module means trusting its author.
+ */
+class ModuleSandbox {
+    constructor(bot) {
+        this.bot = bot;
+        this.collection = null;
+        this.approvals = new Map(); // fileName -> approval doc
+    }
+
+    async init() {
+        if (!this.bot.db) {
+            logger.warn('⚠️ No database, module approvals will not persist');
+            return;
+        }
+
+        this.collection = this.bot.db.collection('module_approvals');
+        const docs = await this.collection.find({}).toArray();
+        for (const doc of docs) {
+            this.approvals.set(doc._id, doc);
+        }
+
+        logger.info(`🛡️ Module approvals loaded: ${this.approvals.size}`);
+    }
+
+    isEnabled() {
+        return config.get('features.sandboxCustomModules', true);
+    }
+
+    hash(source) {
+        return crypto.createHash('sha256').update(source).digest('hex');
+    }
+
+    // ---- Static review ----
+
+    parseCapabilities(source) {
+        const declared = new Set();
+        for (const [, list] of source.matchAll(/@capabilities?\s+([^\n*]+)/g)) {
+            list.split(/[,\s]+/).filter(Boolean).forEach(capability => declared.add(capability.trim()));
+        }
+        return [...declared];
+    }
+
+    // What a module needs for a `require(name)`; null when always allowed.
+    // `local` allows relative requires of the module's own files (installed bundles).
+    classifyRequire(name, local = false) {
+        const id = name.replace(/^node:/, '');
+
+        if (id.startsWith('.') || id.startsWith('/')) {
+            if (this.findShared(id)) return null;
+            if (/(^|\/)config(\.js)?$/.test(id)) return null; // Served as a filtered view, see createConfig()
+            if (local && id.startsWith('.')) return null; // Kept inside the bundle at runtime, see resolveLocal()
+            return `forbidden:${name}`;
+        }
+        if (FORBIDDEN_MODULES.includes(id)) return `forbidden:${name}`;
+        if (SAFE_BUILTINS.includes(id)) return null;
+
+        for (const [capability, modules] of Object.entries(CAPABILITY_MODULES)) {
+            if (modules.includes(id)) return capability;
+        }
+        return `package:${id}`;
+    }
+
+    findShared(id) {
+        const normalized = id.replace(/\\/g, '/').replace(/\.js$/, '').toLowerCase();
+        const key = Object.keys(SHARED_MODULES).find(shared => normalized.endsWith(shared));
+        return key ? SHARED_MODULES[key] : null;
+    }
+
+    /**
+     * Capabilities the source appears to use.
+     * @returns {string[]} Including `forbidden:<module>` entries that can never be granted.
+     */
+    scanSource(source, local = false) {
+        const needed = new Set();
+
+        for (const [, name] of source.matchAll(/\b(?:require|import)\s*\(\s*['"`]([^'"`]+)['"`]\s*\)/g)) {
+            const capability = this.classifyRequire(name, local);
+            if (capability) needed.add(capability);
+        }
+        for (const [, name] of source.matchAll(/^\s*import\s+(?:[^'"]+\s+from\s+)?['"]([^'"]+)['"]/gm)) {
+            const capability = this.classifyRequire(name, local);
+            if (capability) needed.add(capability);
+        }
+
+        if (/\bfetch\s*\(/.test(source)) needed.add('network');
+        if (/\.sock\b/.test(source)) needed.add('sock');
+        if (/\.db\b/.test(source)) needed.add('database');
+
+        // `this.config` is the module's own settings, not the bot config
+        for (const [, key] of source.matchAll(/(?<!this\.)config\.get\(\s*['"`]([^'"`]+)['"`]/g)) {
+            needed.add(`config:${key}`);
+        }
+
+        return [...needed];
+    }
+
+    allowsCapability(declared, capability) {
+        if (declared.includes(capability)) return true;
+        if (!capability.startsWith('config:')) return false;
+
+        const key = capability.slice('config:'.length);
+        return declared.some(entry => entry.startsWith('config:') && entry.endsWith('.*') &&
+            key.startsWith(entry.slice('config:'.length, -1)));
+    }
+
+    /**
+     * Everything the permission-review prompt needs.
+     * @param {string} source - For a multi-file module, all of its files joined.
+     * @param {string} fileName - File name, or module name for an installed bundle.
+     * @param {object} [options]
+     * @param {string} [options.sha256] - Hash to approve instead of the hash of `source`.
+     * @param {boolean} [options.local] - Relative requires are the module's own files.
+     * @returns {{fileName: string, sha256: string, declared: string[], undeclared: string[], forbidden: string[], unknown: string[]}}
+     */
+    review(source, fileName, options = {}) {
+        const declared = this.parseCapabilities(source);
+        const needed = this.scanSource(source, options.local);
+        const known = Object.keys(CAPABILITY_INFO);
+
+        return {
+            fileName,
+            sha256: options.sha256 || this.hash(source),
+            declared,
+            undeclared: needed.filter(c => !c.startsWith('forbidden:') && !this.allowsCapability(declared, c)),
+            forbidden: needed.filter(c => c.startsWith('forbidden:')).map(c => c.slice('forbidden:'.length)),
+            unknown: declared.filter(c => !known.includes(c.split(':')[0]))
+        };
+    }
+
+    describe(capability) {
+        const [type, ...rest] = capability.split(':');
+        const detail = rest.join(':');
+        return `${CAPABILITY_INFO[type] || `❔ ${type}`}${detail ? ` *${detail}*` : ''}`;
+    }
+
+    /**
+     * Why a reviewed module cannot be approved at all, or null.
+     */
+    formatRefusal(review) {
+        const problems = [];
+        if (review.forbidden.length) {
+            problems.push(`⛔ Uses modules no plugin may load: ${review.forbidden.join(', ')}`);
+        }
+        if (review.undeclared.length) {
+            problems.push(`❗ Uses capabilities it does not declare:\n${review.undeclared.map(c => `  • ${this.describe(c)}`).join('\n')}`);
+            problems.push(`💡 Add them to the header, e.g. \`// @capabilities ${review.undeclared.join(', ')}\``);
+        }
+        if (review.unknown.length) {
+            problems.push(`❔ Declares unknown capabilities: ${review.unknown.join(', ')}`);
+        }
+        return problems.length ? `🛡️ *Module Refused*\n\n📦 ${review.fileName}\n\n${problems.join('\n\n')}` : null;
+    }
+
+    formatReview(review) {
+        const capabilities = review.declared.length
+            ? review.declared.map(c => `• ${this.describe(c)}`).join('\n')
+            : '• None declared';
+        return `🛡️ *Module Review*\n\n📦 ${review.fileName}\n🔑 sha256: \`${review.sha256.slice(0, 16)}\`\n\n` +
+               `*Requested capabilities:*\n${capabilities}\n\n` +
+               `⚠️ These limits catch mistakes, not malicious code: a module written to get around them ` +
+               `runs with full access to the server. Only activate code you have read or trust.\n\nActivate this module?`;
+    }
+
+    // ---- Approvals ----
+
+    async approve(review, approvedBy) {
+        const doc = {
+            _id: review.fileName,
+            sha256: review.sha256,
+            capabilities: review.declared,
+            approvedBy,
+            approvedAt: new Date()
+        };
+        this.approvals.set(review.fileName, doc);
+
+        if (this.collection) {
+            await this.collection.replaceOne({ _id: doc._id }, doc, { upsert: true });
+        }
+        logger.info(`🛡️ Approved module ${review.fileName} with ${review.declared.join(', ') || 'no capabilities'}`);
+    }
+
+    async revoke(fileName) {
+        this.approvals.delete(fileName);
+        if (this.collection) {
+            await this.collection.deleteOne({ _id: fileName });
+        }
+    }
+
+    // ---- Runtime ----
+
+    /**
+     * Evaluate an approved module file in its own context.
+     * @param {string} filePath - The module file, or the bundle's main file.
+     * @param {{key: string, sha256: string, root: string}} [bundle] - An installed
+     *   multi-file module: approved under its name, and its files may require each other.
+     * @returns {{instance: object, capabilities: string[], wrapCommand: Function, wrapHook: Function}}
+     * @throws {CapabilityError} When the file was never reviewed or changed since.
+     */
+    instantiate(filePath, bundle = null) {
+        const fileName = bundle ? bundle.key : path.basename(filePath);
+        const sha256 = bundle ? bundle.sha256 : this.hash(fs.readFileSync(filePath, 'utf8'));
+        const approval = this.approvals.get(fileName);
+        const again = bundle ? 'reinstall it with .install' : 'send it again with .lm';
+
+        if (!approval) {
+            throw new CapabilityError(`${fileName} has not been reviewed; ${again}`);
+        }
+        if (approval.sha256 !== sha256) {
+            throw new CapabilityError(`${fileName} changed since it was approved; ${again}`);
+        }
+
+        const capabilities = approval.capabilities;
+        const has = capability => this.allowsCapability(capabilities, capability);
+        const botFacade = this.createBotFacade(this.bot, has);
+
+        const context = vm.createContext({
+            console,
+            Buffer,
+            URL,
+            URLSearchParams,
+            TextEncoder,
+            TextDecoder,
+            AbortController,
+            setTimeout,
+            clearTimeout,
+            setInterval,
+            clearInterval,
+            setImmediate,
+            clearImmediate,
+            queueMicrotask,
+            fetch: has('network') ? fetch : () => { throw new CapabilityError('network capability not granted'); },
+            process: Object.freeze({ env: {}, platform: process.platform, version: process.version, versions: process.versions })
+        }, {
+            name: `sandbox:${fileName}`,
+            codeGeneration: { strings: false, wasm: false }
+        });
+
+        // Files of one bundle share the context and a module cache
+        const cache = new Map();
+        const load = (file) => {
+            if (cache.has(file)) return cache.get(file).exports;
+
+            if (file.endsWith('.json')) {
+                const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+                cache.set(file, { exports: data });
+                return data;
+            }
+
+            const module = { exports: {} };
+            cache.set(file, module);
+            const wrapper = vm.compileFunction(fs.readFileSync(file, 'utf8'), ['exports', 'require', 'module', '__filename', '__dirname'], {
+                filename: file,
+                parsingContext: context
+            });
+            const local = bundle && { root: bundle.root, from: path.dirname(file), load };
+            wrapper(module.exports, name => this.require(name, has, local), module, file, path.dirname(file));
+            return module.exports;
+        };
+
+        const mod = load(filePath);
+        const instance = typeof mod === 'function' && /^\s*class\s/.test(mod.toString())
+            ? new mod(botFacade)
+            : mod;
+
+        // The loader hands commands and hooks the real bot; swap in the facade on the way in
+        const wrapContext = (ctx) => (ctx && ctx.bot ? { ...ctx, bot: this.createBotFacade(ctx.bot, has) } : ctx);
+
+        return {
+            instance,
+            capabilities,
+            wrapCommand: (cmd) => ({
+                ...cmd,
+                execute: (msg, params, ctx) => cmd.execute(msg, params, wrapContext(ctx))
+            }),
+            // Hooks get the bot as their last argument
+            wrapHook: (fn) => (...args) => fn(...args.slice(0, -1), botFacade)
+        };
+    }
+
+    require(name, has, local = null) {
+        const id = name.replace(/^node:/, '');
+        const own = local && id.startsWith('.') && this.resolveLocal(local.root, local.from, id);
+        if (own) return local.load(own);
+
+        const shared = (id.startsWith('.') || id.startsWith('/')) && this.findShared(id);
+        if (shared) return shared();
+        if (/(^|\/)config(\.js)?$/.test(id)) return this.createConfig(has);
+
+        const capability = this.classifyRequire(name);
+        if (capability && (capability.startsWith('forbidden:') || !has(capability))) {
+            throw new CapabilityError(`require('${name}') needs ${capability.startsWith('forbidden:') ? 'a capability modules cannot have' : `the ${capability} capability`}`);
+        }
+        return require(id);
+    }
+
+    // A bundle file for a relative require, never outside the bundle folder
+    resolveLocal(root, from, id) {
+        const base = path.resolve(from, id);
+        const inside = path.resolve(root) + path.sep;
+        const candidates = [base, `${base}.js`, `${base}.json`, path.join(base, 'index.js')];
+
+        return candidates.find(file => file.startsWith(inside) && fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+    }
+
+    // Read-only config limited to the declared keys
+    createConfig(has) {
+        return Object.freeze({
+            get: (key, defaultValue) => {
+                if (!has(`config:${key}`)) {
+                    throw new CapabilityError(`config key ${key} not granted`);
+                }
+                return config.get(key, defaultValue);
+            },
+            set: async () => {
+                throw new CapabilityError('sandboxed modules cannot change the config');
+            }
+        });
+    }
+
+    // Sending messages is always allowed; the socket and database only when declared
+    createBotFacade(bot, has) {
+        const gated = { sock: 'sock', db: 'database' };
+
+        return new Proxy({}, {
+            get: (target, prop) => {
+                if (prop === 'sendMessage') return (jid, content) => bot.sendMessage(jid, content);
+                if (gated[prop]) {
+                    if (!has(gated[prop])) throw new CapabilityError(`${gated[prop]} capability not granted`);
+                    return bot[prop];
+                }
+                return undefined;
+            },
+            set: () => false
+        });
+    }
+}
+
+module.exports = { ModuleSandbox, CapabilityError };
@@ -1,5 +1,4 @@
 const fs = require("fs")
-const chalk = require("chalk")
 const events = require('events');
 const pino = require('pino');
 
@@ -621,12 +620,3 @@ function makeInMemoryStore(options = {}) {
 }
 
 module.exports = { makeInMemoryStore, InMemoryStore };
-
-// File watching for hot reload
-let file = require.resolve(__filename)
-fs.watchFile(file, () => {
-    fs.unwatchFile(file)
-    console.log(`\n› [ ${chalk.black(chalk.bgBlue(" Update Files "))} ] ▸ ${__filename}`)
-    delete require.cache[file]
-    require(file)
-})
@@ -20,6 +20,10 @@ async function main() {
         logger.info(`🔧 MongoDB Store: ${config.get('store.useMongoStore') ? '✅' : '❌'}`);
         logger.info(`🔧 MongoDB Config: ${config.get('auth.useMongoConfig') ? '✅' : '❌'}`);
 
+        const settings = config.report()
+            .map(({ key, value, source }) => `   ${key} = ${JSON.stringify(value)} [${source}]`);
+        logger.info(`📋 Effective configuration:\n${settings.join('\n')}`);
+
         const bot = new HyperWaBot();
         await bot.initialize();
 
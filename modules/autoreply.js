@@ -13,18 +13,13 @@ class AutoReplyModule {
             category: 'automation'
         };
 
-        // Configuration
-        this.autoReply = config.get('features.autoReply', false);
-        this.autoReplyText = config.get('messages.autoReplyText', 'Hello! This is an automated response.');
+        // Configuration, kept current in init()
+        this.autoReply = false;
+        this.autoReplyText = '';
         this.replyDelay = 2000; // Fixed 2 second delay
         
         // Track replied users to avoid spam
         this.repliedUsers = new Set();
-        
-        // Reset replied users daily
-        setInterval(() => {
-            this.repliedUsers.clear();
-        }, 24 * 60 * 60 * 1000);
 
         this.commands = [
             {
@@ -46,6 +41,24 @@ class AutoReplyModule {
         };
     }
 
+    async init() {
+        this.autoReply = config.get('features.autoReply', false);
+        this.autoReplyText = config.get('messages.autoReplyText', 'Hello! This is an automated response.');
+
+        // Follow .config set and changes made by other instances
+        this.registry.onConfig('features.autoReply', (value) => {
+            this.autoReply = !!value;
+        });
+        this.registry.onConfig('messages.autoReplyText', (value) => {
+            this.autoReplyText = value || 'Hello! This is an automated response.';
+        });
+
+        // Reset replied users daily
+        this.registry.setInterval(() => {
+            this.repliedUsers.clear();
+        }, 24 * 60 * 60 * 1000);
+    }
+
     async handleAutoReply(msg, params, context) {
         const param = params[0]?.toLowerCase();
         
@@ -56,14 +69,12 @@ class AutoReplyModule {
 
         // Toggle on/off
         if (['on', 'off'].includes(param)) {
-            this.autoReply = param === 'on';
-            await config.set('features.autoReply', this.autoReply);
+            await config.set('features.autoReply', param === 'on', { by: context.participant });
             return ` *Auto reply* ${this.autoReply ? 'enabled' : 'disabled'}`;
         }
 
         // Set message
-        this.autoReplyText = params.join(' ');
-        await config.set('messages.autoReplyText', this.autoReplyText);
+        await config.set('messages.autoReplyText', params.join(' '), { by: context.participant });
         return ` *Auto reply message set to*:\n"${this.autoReplyText}"`;
     }
 
@@ -72,7 +83,7 @@ class AutoReplyModule {
         if (!this.autoReply) return;
 
         // Skip own messages, commands, no text, or already replied
-        if (msg.key.fromMe || !text || text.startsWith(config.get('bot.prefix'))) return;
+        if (msg.key.fromMe || !text || bot.prefixes.match(text, msg.key.remoteJid) !== null) return;
 
         const sender = msg.key.remoteJid;
         const participant = msg.key.participant || sender;
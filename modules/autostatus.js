@@ -12,13 +12,13 @@ class StatusViewerModule {
             category: 'automation'
         };
 
-        // Configuration
-        this.autoViewStatus = config.get('features.autoViewStatus', false);
-        this.autoReactStatus = config.get('features.autoReactStatus', false);
-        this.statusReaction = config.get('features.statusReaction', '❤️');
-        this.viewDelay = config.get('features.statusViewDelay', 1000);
+        // Configuration, kept current in init()
+        this.autoViewStatus = false;
+        this.autoReactStatus = false;
+        this.statusReaction = '❤️';
+        this.viewDelay = 1000;
         
-        // Statistics
+        // Statistics, kept in this.storage across restarts
         this.totalViewed = 0;
         this.totalReacted = 0;
 
@@ -53,6 +53,27 @@ class StatusViewerModule {
         };
     }
 
+    async init() {
+        this.applyConfig();
+        // Follow .config set and changes made by other instances
+        this.registry.onConfig('features.*', () => this.applyConfig());
+
+        const stats = await this.storage.get('stats', {});
+        this.totalViewed = stats.totalViewed || 0;
+        this.totalReacted = stats.totalReacted || 0;
+    }
+
+    applyConfig() {
+        this.autoViewStatus = config.get('features.autoViewStatus', false);
+        this.autoReactStatus = config.get('features.autoReactStatus', false);
+        this.statusReaction = config.get('features.statusReaction', '❤️');
+        this.viewDelay = config.get('features.statusViewDelay', 1000);
+    }
+
+    async saveStats() {
+        await this.storage.set('stats', { totalViewed: this.totalViewed, totalReacted: this.totalReacted });
+    }
+
     async toggleAutoStatus(msg, params, context) {
         const action = params[0]?.toLowerCase();
         
@@ -60,8 +81,7 @@ class StatusViewerModule {
             return ` *Auto Status Viewing*\n\nStatus: ${this.autoViewStatus ? ' ON' : ' OFF'}\nViewed: ${this.totalViewed}\n\nUsage: .autostatus on/off`;
         }
 
-        this.autoViewStatus = action === 'on';
-        await config.set('features.autoViewStatus', this.autoViewStatus);
+        await config.set('features.autoViewStatus', action === 'on', { by: context.participant });
         
         return ` *Auto status viewing* ${this.autoViewStatus ? 'enabled' : 'disabled'}`;
     }
@@ -76,14 +96,12 @@ class StatusViewerModule {
 
         // Toggle on/off
         if (['on', 'off'].includes(param)) {
-            this.autoReactStatus = param === 'on';
-            await config.set('features.autoReactStatus', this.autoReactStatus);
+            await config.set('features.autoReactStatus', param === 'on', { by: context.participant });
             return ` *Auto status reactions* ${this.autoReactStatus ? 'enabled' : 'disabled'}`;
         }
 
         // Set emoji
-        this.statusReaction = params[0];
-        await config.set('features.statusReaction', this.statusReaction);
+        await config.set('features.statusReaction', params[0], { by: context.participant });
         return ` *Status reaction set to*: ${this.statusReaction}`;
     }
 
@@ -114,6 +132,7 @@ class StatusViewerModule {
                 });
                 this.totalReacted++;
             }
+            await this.saveStats();
 
             // Get contact info for logging
             const contact = bot.getContactInfo?.(participant) || {};
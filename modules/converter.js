@@ -2,7 +2,6 @@ const fs = require('fs-extra');
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
-const { downloadContentFromMessage } = require('@whiskeysockets/baileys');
 const axios = require('axios');
 const { Sticker, StickerTypes } = require('wa-sticker-formatter');
 
@@ -32,7 +31,7 @@ class ConverterModule {
             {
                 name: 'sticker',
                 description: 'Convert image/text to sticker',
-                usage: '.sticker (reply to image or provide text)',
+                usage: '.sticker (caption or reply to image, or provide text)',
                 aliases: ['s'],
                 permissions: 'public',
                 execute: this.createStickerAuto.bind(this)
@@ -54,35 +53,35 @@ class ConverterModule {
             {
                 name: 'tovn',
                 description: 'Convert audio to WhatsApp voice note',
-                usage: '.tovn (reply to audio)',
+                usage: '.tovn (caption or reply to audio)',
                 permissions: 'public',
                 execute: this.audioToVoiceNote.bind(this)
             },
             {
                 name: 'tomp3',
                 description: 'Convert audio/video to MP3',
-                usage: '.tomp3 (reply to media)',
+                usage: '.tomp3 (caption or reply to media)',
                 permissions: 'public',
                 execute: this.toMp3.bind(this)
             },
             {
                 name: 'tomp4',
                 description: 'Convert video to MP4',
-                usage: '.tomp4 (reply to video)',
+                usage: '.tomp4 (caption or reply to video)',
                 permissions: 'public',
                 execute: this.toMp4.bind(this)
             },
             {
                 name: 'denoise',
                 description: 'Remove noise from audio',
-                usage: '.denoise (reply to audio)',
+                usage: '.denoise (caption or reply to audio)',
                 permissions: 'public',
                 execute: this.denoiseAudio.bind(this)
             },
             {
                 name: 'mutevideo',
                 description: 'Remove audio from video',
-                usage: '.mutevideo (reply to video)',
+                usage: '.mutevideo (caption or reply to video)',
                 permissions: 'public',
                 execute: this.muteVideo.bind(this)
             },
@@ -124,10 +123,11 @@ class ConverterModule {
                 type: StickerTypes.DEFAULT
             };
 
-            const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+            // Attached media (caption command) wins over the replied-to message
+            const media = context.getMedia(['image', 'video', 'ptv', 'sticker', 'document', 'audio']);
 
             // CASE 1: Text Sticker
-            if (!quotedMsg && params.length > 0) {
+            if (!media && params.length > 0) {
                 const text = params.join(' ');
                 if (text.length > 100) {
                     return await context.bot.sendMessage(context.sender, { text: '❌ Text is too long. Please use up to 100 characters.' });
@@ -140,21 +140,18 @@ class ConverterModule {
 
             // CASE 2: Image Sticker
             if (!isTextSticker) {
-                if (!quotedMsg) {
-                    return await context.bot.sendMessage(context.sender, { text: '❌ Please reply to an image to create a sticker.' });
+                if (!media) {
+                    return await context.bot.sendMessage(context.sender, { text: '❌ Send an image with `.sticker` as the caption, or reply to one.' });
                 }
 
-                if (quotedMsg.videoMessage) {
+                if (['video', 'ptv'].includes(media.type)) {
                     return await context.bot.sendMessage(context.sender, { text: '❌ Video stickers are not supported. Use .togif2 to convert a video to GIF.' });
                 }
 
-                if (quotedMsg.imageMessage) {
-                    const stream = await downloadContentFromMessage(quotedMsg.imageMessage, 'image');
-                    const chunks = [];
-                    for await (const chunk of stream) chunks.push(chunk);
-                    mediaBuffer = Buffer.concat(chunks);
+                if (media.type === 'image') {
+                    mediaBuffer = await media.download();
                 } else {
-                    return await context.bot.sendMessage(context.sender, { text: '❌ Please reply to a valid image.' });
+                    return await context.bot.sendMessage(context.sender, { text: '❌ Please send or reply to a valid image.' });
                 }
             }
 
@@ -202,23 +199,18 @@ class ConverterModule {
 
     async stickerToImage(msg, params, context) {
         try {
-            const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
-            if (!quotedMsg?.stickerMessage) {
+            const media = context.getMedia(['sticker']);
+            if (!media) {
                 return await context.bot.sendMessage(context.sender, { text: '❌ Please reply to a sticker to convert it to image.' });
             }
 
-            const stream = await downloadContentFromMessage(quotedMsg.stickerMessage, 'sticker');
-            const chunks = [];
-            for await (const chunk of stream) {
-                chunks.push(chunk);
-            }
-            const buffer = Buffer.concat(chunks);
+            const buffer = await media.download();
 
             const inputFile = path.join(this.tempDir, `sticker_${Date.now()}.webp`);
             const outputFile = path.join(this.tempDir, `image_${Date.now()}.png`);
 
             await fs.writeFile(inputFile, buffer);
-            await execAsync(`ffmpeg -i "${inputFile}" "${outputFile}"`);
+            await execAsync(`ffmpeg -i "${inputFile}" "${outputFile}"`, { signal: context.signal });
 
             const imageBuffer = await fs.readFile(outputFile);
 
@@ -239,28 +231,23 @@ class ConverterModule {
 
     async stickerToGif(msg, params, context) {
         try {
-            const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
-            if (!quotedMsg?.stickerMessage) {
+            const media = context.getMedia(['sticker']);
+            if (!media) {
                 return await context.bot.sendMessage(context.sender, { text: '❌ Please reply to an animated sticker to convert it to GIF.' });
             }
 
-            const stream = await downloadContentFromMessage(quotedMsg.stickerMessage, 'sticker');
-            const chunks = [];
-            for await (const chunk of stream) {
-                chunks.push(chunk);
-            }
-            const buffer = Buffer.concat(chunks);
+            const buffer = await media.download();
 
             const inputFile = path.join(this.tempDir, `sticker_${Date.now()}.webp`);
             const outputFile = path.join(this.tempDir, `gif_${Date.now()}.gif`);
 
             await fs.writeFile(inputFile, buffer);
-            await execAsync(`ffmpeg -i "${inputFile}" -vf "fps=10,scale=320:320:force_original_aspect_ratio=decrease,pad=320:320:(ow-iw)/2:(oh-ih)/2:color=#00000000" -an -q:v 50 -f gif "${outputFile}"`);
+            await execAsync(`ffmpeg -i "${inputFile}" -vf "fps=10,scale=320:320:force_original_aspect_ratio=decrease,pad=320:320:(ow-iw)/2:(oh-ih)/2:color=#00000000" -an -q:v 50 -f gif "${outputFile}"`, { signal: context.signal });
 
             let gifBuffer = await fs.readFile(outputFile);
 
             if (gifBuffer.length > 1000000) {
-                await execAsync(`ffmpeg -i "${inputFile}" -vf "fps=8,scale=240:240:force_original_aspect_ratio=decrease,pad=240:240:(ow-iw)/2:(oh-ih)/2:color=#00000000" -an -q:v 75 -f gif "${outputFile}"`);
+                await execAsync(`ffmpeg -i "${inputFile}" -vf "fps=8,scale=240:240:force_original_aspect_ratio=decrease,pad=240:240:(ow-iw)/2:(oh-ih)/2:color=#00000000" -an -q:v 75 -f gif "${outputFile}"`, { signal: context.signal });
                 gifBuffer = await fs.readFile(outputFile);
                 if (gifBuffer.length > 1000000) {
                     await Promise.all([
@@ -294,25 +281,19 @@ class ConverterModule {
 
     async audioToVoiceNote(msg, params, context) {
         try {
-            const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
-            if (!quotedMsg?.audioMessage && !quotedMsg?.videoMessage) {
-                return await context.bot.sendMessage(context.sender, { text: '❌ Please reply to an audio or video file to convert to voice note.' });
+            const media = context.getMedia(['audio', 'video', 'ptv']);
+            if (!media) {
+                return await context.bot.sendMessage(context.sender, { text: '❌ Please send or reply to an audio or video file to convert to voice note.' });
             }
 
-            const mediaType = quotedMsg.audioMessage ? 'audio' : 'video';
-            const mediaMessage = quotedMsg[`${mediaType}Message`];
-            const stream = await downloadContentFromMessage(mediaMessage, mediaType);
-            const chunks = [];
-            for await (const chunk of stream) {
-                chunks.push(chunk);
-            }
-            const buffer = Buffer.concat(chunks);
+            const mediaType = media.type === 'audio' ? 'audio' : 'video';
+            const buffer = await media.download();
 
             const inputFile = path.join(this.tempDir, `input_${Date.now()}.${mediaType === 'audio' ? 'mp3' : 'mp4'}`);
             const outputFile = path.join(this.tempDir, `voice_${Date.now()}.ogg`);
 
             await fs.writeFile(inputFile, buffer);
-            await execAsync(`ffmpeg -i "${inputFile}" -c:a libopus -b:a 32k -vn "${outputFile}"`);
+            await execAsync(`ffmpeg -i "${inputFile}" -c:a libopus -b:a 32k -vn "${outputFile}"`, { signal: context.signal });
 
             const voiceBuffer = await fs.readFile(outputFile);
 
@@ -334,25 +315,19 @@ class ConverterModule {
 
     async toMp3(msg, params, context) {
         try {
-            const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
-            if (!quotedMsg?.audioMessage && !quotedMsg?.videoMessage) {
-                return await context.bot.sendMessage(context.sender, { text: '❌ Please reply to an audio or video file to convert to MP3.' });
+            const media = context.getMedia(['audio', 'video', 'ptv']);
+            if (!media) {
+                return await context.bot.sendMessage(context.sender, { text: '❌ Please send or reply to an audio or video file to convert to MP3.' });
             }
 
-            const mediaType = quotedMsg.audioMessage ? 'audio' : 'video';
-            const mediaMessage = quotedMsg[`${mediaType}Message`];
-            const stream = await downloadContentFromMessage(mediaMessage, mediaType);
-            const chunks = [];
-            for await (const chunk of stream) {
-                chunks.push(chunk);
-            }
-            const buffer = Buffer.concat(chunks);
+            const mediaType = media.type === 'audio' ? 'audio' : 'video';
+            const buffer = await media.download();
 
             const inputFile = path.join(this.tempDir, `input_${Date.now()}.${mediaType === 'audio' ? 'ogg' : 'mp4'}`);
             const outputFile = path.join(this.tempDir, `mp3_${Date.now()}.mp3`);
 
             await fs.writeFile(inputFile, buffer);
-            await execAsync(`ffmpeg -i "${inputFile}" -c:a libmp3lame -q:a 2 "${outputFile}"`);
+            await execAsync(`ffmpeg -i "${inputFile}" -c:a libmp3lame -q:a 2 "${outputFile}"`, { signal: context.signal });
 
             const mp3Buffer = await fs.readFile(outputFile);
 
@@ -373,23 +348,18 @@ class ConverterModule {
 
     async toMp4(msg, params, context) {
         try {
-            const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
-            if (!quotedMsg?.videoMessage) {
-                return await context.bot.sendMessage(context.sender, { text: '❌ Please reply to a video file to convert to MP4.' });
+            const media = context.getMedia(['video', 'ptv']);
+            if (!media) {
+                return await context.bot.sendMessage(context.sender, { text: '❌ Please send or reply to a video file to convert to MP4.' });
             }
 
-            const stream = await downloadContentFromMessage(quotedMsg.videoMessage, 'video');
-            const chunks = [];
-            for await (const chunk of stream) {
-                chunks.push(chunk);
-            }
-            const buffer = Buffer.concat(chunks);
+            const buffer = await media.download();
 
             const inputFile = path.join(this.tempDir, `input_${Date.now()}.mp4`);
             const outputFile = path.join(this.tempDir, `mp4_${Date.now()}.mp4`);
 
             await fs.writeFile(inputFile, buffer);
-            await execAsync(`ffmpeg -i "${inputFile}" -c copy "${outputFile}"`);
+            await execAsync(`ffmpeg -i "${inputFile}" -c copy "${outputFile}"`, { signal: context.signal });
 
             const mp4Buffer = await fs.readFile(outputFile);
 
@@ -411,23 +381,18 @@ class ConverterModule {
 
     async denoiseAudio(msg, params, context) {
         try {
-            const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
-            if (!quotedMsg?.audioMessage) {
-                return await context.bot.sendMessage(context.sender, { text: '❌ Please reply to an audio file to remove noise.' });
+            const media = context.getMedia(['audio']);
+            if (!media) {
+                return await context.bot.sendMessage(context.sender, { text: '❌ Please send or reply to an audio file to remove noise.' });
             }
 
-            const stream = await downloadContentFromMessage(quotedMsg.audioMessage, 'audio');
-            const chunks = [];
-            for await (const chunk of stream) {
-                chunks.push(chunk);
-            }
-            const buffer = Buffer.concat(chunks);
+            const buffer = await media.download();
 
             const inputFile = path.join(this.tempDir, `input_${Date.now()}.ogg`);
             const outputFile = path.join(this.tempDir, `denoised_${Date.now()}.mp3`);
 
             await fs.writeFile(inputFile, buffer);
-            await execAsync(`ffmpeg -i "${inputFile}" -af "highpass=f=200,lowpass=f=3000,afftdn" -c:a libmp3lame -b:a 128k "${outputFile}"`);
+            await execAsync(`ffmpeg -i "${inputFile}" -af "highpass=f=200,lowpass=f=3000,afftdn" -c:a libmp3lame -b:a 128k "${outputFile}"`, { signal: context.signal });
 
             const denoisedBuffer = await fs.readFile(outputFile);
 
@@ -449,23 +414,18 @@ class ConverterModule {
 
     async muteVideo(msg, params, context) {
         try {
-            const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
-            if (!quotedMsg?.videoMessage) {
-                return await context.bot.sendMessage(context.sender, { text: '❌ Please reply to a video file to mute.' });
+            const media = context.getMedia(['video', 'ptv']);
+            if (!media) {
+                return await context.bot.sendMessage(context.sender, { text: '❌ Please send or reply to a video file to mute.' });
             }
 
-            const stream = await downloadContentFromMessage(quotedMsg.videoMessage, 'video');
-            const chunks = [];
-            for await (const chunk of stream) {
-                chunks.push(chunk);
-            }
-            const buffer = Buffer.concat(chunks);
+            const buffer = await media.download();
 
             const inputFile = path.join(this.tempDir, `input_${Date.now()}.mp4`);
             const outputFile = path.join(this.tempDir, `muted_${Date.now()}.mp4`);
 
             await fs.writeFile(inputFile, buffer);
-            await execAsync(`ffmpeg -i "${inputFile}" -c:v copy -an "${outputFile}"`);
+            await execAsync(`ffmpeg -i "${inputFile}" -c:v copy -an "${outputFile}"`, { signal: context.signal });
 
             const mutedBuffer = await fs.readFile(outputFile);
 
@@ -4,7 +4,22 @@ const fs = require('fs-extra');
 const path = require('path');
 const { exec } = require('child_process');
 const helpers = require('../utils/helpers');
+const { normalizeMessage } = require('../utils/messageNormalizer');
 const logger = require('../Core/logger');
+const { maskSecret, isMissing, validateValue } = require('../Core/module-config');
+const { CONFIG_SCHEMA, validateSetting } = require('../Core/config-schema');
+
+// Stands in for secrets in exported settings; importing it keeps the current value
+const REDACTED = '<redacted>';
+
+// Settings that belong to one instance (who owns it, where it logs, which
+// database and session it uses); exports leave them out and imports need --force
+const INSTANCE_KEYS = ['bot.owner', 'admins', 'telegram.chatId', 'telegram.logChannel', 'auth', 'mongo.dbName'];
+
+function isInstanceKey(key) {
+    const lower = key.toLowerCase();
+    return INSTANCE_KEYS.some(known => lower === known.toLowerCase() || lower.startsWith(`${known.toLowerCase()}.`));
+}
 
 class CoreModule {
     constructor(bot) {
@@ -80,8 +95,16 @@ class CoreModule {
             {
                 name: 'config',
                 description: 'View or update configuration',
-                usage: '.config [get|set|delete] [key] [value]',
+                usage: '.config [get|set|delete] [key] [value] | .config show <module> | .config history [key] | .config rollback <id> | .config export | .config import (reply to a .json file)',
                 permissions: 'owner',
+                args: [
+                    { name: 'action', type: 'string', optional: true, choices: ['get', 'set', 'delete', 'show', 'history', 'rollback', 'export', 'import'] },
+                    { name: 'key', type: 'string', optional: true },
+                    { name: 'value', type: 'string', rest: true, optional: true }
+                ],
+                flags: {
+                    force: { type: 'boolean' }   // Accept keys the schema does not know: .config set --force <key> <value>; .config import --force also takes instance settings
+                },
                 ui: {
                     processingText: '⚙️ Managing configuration...',
                     errorText: '❌ Configuration operation failed'
@@ -115,6 +138,9 @@ class CoreModule {
                 description: 'Broadcast message to all chats',
                 usage: '.broadcast <message>',
                 permissions: 'owner',
+                args: [
+                    { name: 'message', type: 'string', rest: true }
+                ],
                 ui: {
                     processingText: '📢 Sending broadcast...',
                     errorText: '❌ Broadcast failed'
@@ -142,6 +168,80 @@ class CoreModule {
                     errorText: '❌ Shell command failed'
                 },
                 execute: this.runShell.bind(this)
+            },
+            {
+                name: 'perm',
+                description: 'Manage roles and command permissions',
+                usage: '.perm grant|revoke <role> <@user|number> | .perm list [role] | .perm set|reset command|module <name> [permission]',
+                permissions: 'owner',
+                args: [
+                    { name: 'action', type: 'string', optional: true, choices: ['grant', 'revoke', 'list', 'set', 'reset'] },
+                    { name: 'rest', type: 'string', optional: true, rest: true }
+                ],
+                ui: {
+                    processingText: '🔐 Updating permissions...',
+                    errorText: '❌ Permission update failed'
+                },
+                execute: this.managePermissions.bind(this)
+            },
+            {
+                name: 'disable',
+                description: 'Disable a module or command in this chat (or everywhere)',
+                usage: '.disable <module|command> [global] | .disable (list)',
+                permissions: 'groupAdmin',
+                args: [
+                    { name: 'target', type: 'string', optional: true },
+                    { name: 'scope', type: 'string', optional: true, choices: ['global'] }
+                ],
+                ui: {
+                    processingText: '🎚️ Updating chat settings...',
+                    errorText: '❌ Failed to disable'
+                },
+                execute: this.toggleFeature.bind(this, true)
+            },
+            {
+                name: 'enable',
+                description: 'Re-enable a module or command in this chat (or everywhere)',
+                usage: '.enable <module|command> [global]',
+                permissions: 'groupAdmin',
+                args: [
+                    { name: 'target', type: 'string', optional: true },
+                    { name: 'scope', type: 'string', optional: true, choices: ['global'] }
+                ],
+                ui: {
+                    processingText: '🎚️ Updating chat settings...',
+                    errorText: '❌ Failed to enable'
+                },
+                execute: this.toggleFeature.bind(this, false)
+            },
+            {
+                name: 'setprefix',
+                description: 'Change the command prefix in this chat',
+                usage: '.setprefix <prefix> [more prefixes] | .setprefix reset | .setprefix',
+                permissions: 'groupAdmin',
+                args: [
+                    { name: 'prefixes', type: 'string', optional: true, rest: true }
+                ],
+                ui: {
+                    processingText: '🔣 Updating prefix...',
+                    errorText: '❌ Failed to change prefix'
+                },
+                execute: this.setChatPrefix.bind(this)
+            },
+            {
+                name: 'cancel',
+                description: 'Cancel your running command in this chat',
+                usage: '.cancel [all]',
+                permissions: 'public',
+                queue: false,
+                args: [
+                    { name: 'scope', type: 'string', optional: true, choices: ['all'] }
+                ],
+                ui: {
+                    processingText: '🛑 Cancelling...',
+                    errorText: '❌ Cancel failed'
+                },
+                execute: this.cancelCommand.bind(this)
             }
         ];
 
@@ -149,6 +249,16 @@ class CoreModule {
         this.startTime = Date.now();
     }
 
+    // Keep uptime and usage counts across `.reload core`
+    serialize() {
+        return { startTime: this.startTime, commandCounts: [...this.commandCounts] };
+    }
+
+    restore(state) {
+        this.startTime = state.startTime;
+        this.commandCounts = new Map(state.commandCounts);
+    }
+
 async ping(msg, params, context) {
     const start = Date.now();
     this.incrementCommandCount('ping');
@@ -193,7 +303,7 @@ async restart(msg, params, context) {
             return `🌐 Current Mode: ${config.get('features.mode')}\n\nUsage: \`.mode public|private\``;
         }
 
-        await config.set('features.mode', mode);
+        await config.set('features.mode', mode, { by: context.participant });
         this.incrementCommandCount('mode');
         if (this.bot.telegramBridge) {
             await this.bot.telegramBridge.logToTelegram('🌐 Mode Changed', `New mode: ${mode}`);
@@ -201,64 +311,371 @@ async restart(msg, params, context) {
         return `✅ *Mode Changed*\n\nNew Mode: ${mode}`;
     }
 
+    /**
+     * `<module>.<setting>` or `modules.<module>.<setting>` for a setting a loaded module declares.
+     * @returns {?{moduleName: string, setting: string, settings: object}}
+     */
+    resolveModuleSetting(key) {
+        const parts = key.split('.');
+        if (parts[0].toLowerCase() === 'modules') parts.shift();
+        if (parts.length !== 2) return null;
+
+        // Written with any case, e.g. Modules.Weather.units
+        const [name, settingName] = parts.map(part => part.toLowerCase());
+        const moduleName = [...this.bot.moduleLoader.modules.keys()].find(id => id.toLowerCase() === name);
+        const settings = moduleName && this.bot.moduleLoader.modules.get(moduleName).config;
+        const setting = settings && Object.keys(settings.schema).find(known => known.toLowerCase() === settingName);
+        return setting ? { moduleName, setting, settings } : null;
+    }
+
+    // Every declared module setting, as `<module>.<key>` and `modules.<module>.<key>`
+    moduleSettingKeys() {
+        const keys = [];
+        for (const [name, info] of this.bot.moduleLoader.modules) {
+            for (const setting of Object.keys(info.config?.schema || {})) {
+                keys.push(`${name}.${setting}`, `modules.${name}.${setting}`);
+            }
+        }
+        return keys;
+    }
+
+    showModuleSettings(moduleName) {
+        const settings = this.bot.moduleLoader.modules.get(moduleName)?.config;
+        if (!settings || Object.keys(settings.schema).length === 0) {
+            return `❌ Module *${moduleName}* has no settings.`;
+        }
+
+        const lines = Object.entries(settings.schema).map(([key, spec]) =>
+            `• \`${moduleName}.${key}\` (${spec.type || 'string'}${spec.required ? ', required' : ''}) = ${settings.display(key)}` +
+            (spec.description ? `\n   ${spec.description}` : ''));
+        return `⚙️ *${moduleName} Settings*\n\n${lines.join('\n')}\n\n💡 \`.config set ${moduleName}.<key> <value>\``;
+    }
+
     async manageConfig(msg, params, context) {
-        if (params.length === 0) {
+        const { action, key, value: rawValue } = context.args;
+
+        if (!action && !key) {
             const allConfig = config.getAll();
             const configKeys = Object.keys(allConfig).slice(0, 20); // Show first 20 keys
+            const configurable = [...this.bot.moduleLoader.modules]
+                .filter(([, info]) => info.config && Object.keys(info.config.schema).length > 0)
+                .map(([name, info]) => `• ${name}${info.config.missing().length ? ` (❗ ${info.config.missing().length} missing)` : ''}`);
             return `⚙️ *Configuration Management*\n\n` +
                    `📋 Available keys (showing first 20):\n${configKeys.map(k => `• ${k}`).join('\n')}\n\n` +
+                   (configurable.length ? `🧩 Module settings:\n${configurable.join('\n')}\n\n` : '') +
                    `💡 Usage:\n` +
                    `• \`.config get <key>\` - Get value\n` +
                    `• \`.config set <key> <value>\` - Set value\n` +
-                   `• \`.config delete <key>\` - Delete key`;
+                   `• \`.config delete <key>\` - Delete key\n` +
+                   `• \`.config show <module>\` - Module settings\n` +
+                   `• \`.config history [key]\` - Recent changes\n` +
+                   `• \`.config rollback <id>\` - Undo a change\n` +
+                   `• \`.config export\` - Settings as a JSON file\n` +
+                   `• \`.config import\` - Apply a JSON file (reply to it)`;
         }
 
-        const action = params[0]?.toLowerCase();
-        const key = params[1];
+        const moduleSetting = key ? this.resolveModuleSetting(key) : null;
 
         switch (action) {
+            case 'show':
+                if (!key) return '❌ Usage: `.config show <module>`';
+                return this.showModuleSettings(key.toLowerCase());
+
             case 'get':
                 if (!key) return '❌ Usage: `.config get <key>`';
+                if (moduleSetting) {
+                    return `⚙️ *Configuration Value*\n\n` +
+                           `🔑 Key: \`${moduleSetting.settings.path(moduleSetting.setting)}\`\n` +
+                           `💎 Value: ${moduleSetting.settings.display(moduleSetting.setting)}`;
+                }
                 const value = config.get(key);
                 return `⚙️ *Configuration Value*\n\n` +
                        `🔑 Key: \`${key}\`\n` +
-                       `💎 Value: \`${JSON.stringify(value, null, 2)}\``;
+                       `💎 Value: \`${this.formatConfigValue(key, value, 2)}\`\n` +
+                       `📍 Source: ${config.sourceOf(key)}`;
 
             case 'set':
-                if (params.length < 3) return '❌ Usage: `.config set <key> <value>`';
-                const newValue = params.slice(2).join(' ');
-                
-                // Try to parse as JSON, fallback to string
-                let parsedValue;
+                if (!key || rawValue === undefined) return '❌ Usage: `.config set <key> <value>`';
+
+                if (moduleSetting) {
+                    return this.setModuleSetting(moduleSetting, rawValue, context);
+                }
+
+                let setting;
                 try {
-                    parsedValue = JSON.parse(newValue);
-                } catch {
-                    parsedValue = newValue;
+                    setting = validateSetting(key, rawValue, { force: context.args.force, moduleKeys: this.moduleSettingKeys() });
+                } catch (error) {
+                    return `❌ ${error.message}`;
                 }
-                
-                await config.set(key, parsedValue);
+
+                const oldValue = config.get(setting.key);
+                await config.set(setting.key, setting.value, { by: context.participant });
                 return `✅ *Configuration Updated*\n\n` +
-                       `🔑 Key: \`${key}\`\n` +
-                       `💎 New Value: \`${JSON.stringify(parsedValue, null, 2)}\``;
+                       `🔑 Key: \`${setting.key}\`\n` +
+                       `💎 Old Value: \`${this.formatConfigValue(setting.key, oldValue)}\`\n` +
+                       `💎 New Value: \`${this.formatConfigValue(setting.key, setting.value)}\``;
 
             case 'delete':
                 if (!key) return '❌ Usage: `.config delete <key>`';
-                await config.delete(key);
+                if (moduleSetting) {
+                    await moduleSetting.settings.reset(moduleSetting.setting, { by: context.participant });
+                    return `🗑️ *Configuration Reset*\n\n` +
+                           `🔑 Key: \`${moduleSetting.settings.path(moduleSetting.setting)}\`\n` +
+                           `💎 Value: ${moduleSetting.settings.display(moduleSetting.setting)}`;
+                }
+                await config.delete(key, { by: context.participant });
                 return `🗑️ *Configuration Deleted*\n\n` +
                        `🔑 Key: \`${key}\``;
 
+            case 'history':
+                return this.showConfigHistory(key);
+
+            case 'rollback': {
+                const id = parseInt(key, 10);
+                if (!Number.isInteger(id)) return '❌ Usage: `.config rollback <id>` (ids are in `.config history`)';
+
+                let entry;
+                try {
+                    entry = await this.bot.configHistory.rollback(id, context.participant);
+                } catch (error) {
+                    return `❌ ${error.message}`;
+                }
+                return `⏪ *Change #${id} Rolled Back*\n\n` +
+                       `🔑 Key: \`${entry.key}\`\n` +
+                       `💎 Value: \`${this.formatConfigValue(entry.key, config.get(entry.key))}\``;
+            }
+
+            case 'export':
+                return this.exportConfig(context);
+
+            case 'import':
+                return this.importConfig(context);
+
             default:
-                return '❌ Invalid action. Use: get, set, or delete';
+                return '❌ Invalid action. Use: get, set, delete, show, history, rollback, export or import';
+        }
+    }
+
+    formatConfigValue(key, value, space) {
+        return this.isSecretSetting(key) && !isMissing(value) ? maskSecret(value) : JSON.stringify(this.maskSecrets(key, value), null, space);
+    }
+
+    // A whole section such as `telegram` or `modules.weather`, with the secrets inside it masked
+    maskSecrets(key, value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return this.isSecretSetting(key) && !isMissing(value) ? maskSecret(value) : value;
+        }
+        return Object.fromEntries(Object.entries(value).map(([name, child]) => [name, this.maskSecrets(`${key}.${name}`, child)]));
+    }
+
+    // Settings as [key, value] pairs, stopping at the keys the schema types (mongo.options is one value)
+    configEntries(object, prefix = '') {
+        const entries = [];
+        for (const [name, value] of Object.entries(object)) {
+            const key = prefix ? `${prefix}.${name}` : name;
+            if (value && typeof value === 'object' && !Array.isArray(value) && !CONFIG_SCHEMA[key]) {
+                entries.push(...this.configEntries(value, key));
+            } else {
+                entries.push([key, value]);
+            }
         }
+        return entries;
     }
+
+    // By name (token, password...), or flagged `secret` in CONFIG_SCHEMA or a module's configSchema
+    isSecretSetting(key) {
+        const known = Object.keys(CONFIG_SCHEMA).find(name => name.toLowerCase() === key.toLowerCase());
+        const moduleSetting = this.resolveModuleSetting(key);
+        return config.isSecret(key) || !!CONFIG_SCHEMA[known]?.secret || !!moduleSetting?.settings.schema[moduleSetting.setting].secret;
+    }
+
+    // Effective settings with secrets redacted and instance settings left out, as a document another instance can import
+    async exportConfig(context) {
+        const settings = {};
+        let redacted = 0;
+        let skipped = 0;
+
+        for (const [key, value] of this.configEntries(config.getAll())) {
+            if (isInstanceKey(key)) {
+                skipped++;
+                continue;
+            }
+
+            const secret = this.isSecretSetting(key) && !isMissing(value);
+            if (secret) redacted++;
+
+            const parts = key.split('.');
+            const last = parts.pop();
+            const target = parts.reduce((o, part) => (o[part] = o[part] || {}), settings);
+            target[last] = secret ? REDACTED : value;
+        }
+
+        const document = {
+            bot: config.get('bot.name'),
+            version: config.get('bot.version'),
+            exportedAt: new Date().toISOString(),
+            settings
+        };
+        const fileName = `${config.get('bot.name', 'bot').toLowerCase()}-config-${document.exportedAt.slice(0, 10)}.json`;
+
+        await context.bot.sendMessage(context.sender, {
+            document: Buffer.from(JSON.stringify(document, null, 2)),
+            fileName,
+            mimetype: 'application/json',
+            caption: `📤 *Configuration Export*\n\n📄 ${fileName}\n🔒 ${redacted} secret(s) redacted\n` +
+                     `🏠 ${skipped} instance setting(s) left out (owner, admins, chats, auth, database)\n\n` +
+                     `💡 Reply to it with \`.config import\` on another bot to copy these settings`
+        });
+        return `✅ Exported ${this.configEntries(settings).length} settings`;
+    }
+
+    /**
+     * Validate the settings in a replied JSON file, show what would change
+     * and apply them after confirmation. Redacted secrets are left as they are;
+     * instance settings (INSTANCE_KEYS) are refused unless --force is given.
+     */
+    async importConfig(context) {
+        const document = context.getMedia('document');
+        if (!document || !(document.fileName || '').toLowerCase().endsWith('.json')) {
+            return '❌ Reply to a .json file (from `.config export`) with `.config import`.';
+        }
+        if (document.fileLength > 512 * 1024) {
+            return '❌ The file is too large for a configuration (512 KB max).';
+        }
+
+        let data;
+        try {
+            data = JSON.parse((await document.download()).toString('utf8'));
+        } catch (error) {
+            return `❌ Not valid JSON: ${error.message}`;
+        }
+
+        const settings = data && typeof data.settings === 'object' ? data.settings : data;
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            return '❌ The file must hold an object of settings.';
+        }
+
+        const changes = {};
+        const errors = [];
+        const refused = [];
+        for (const [key, value] of this.configEntries(settings)) {
+            if (value === REDACTED) continue;
+
+            try {
+                const moduleSetting = this.resolveModuleSetting(key);
+                const setting = moduleSetting
+                    ? { key: moduleSetting.settings.path(moduleSetting.setting), value: validateValue(moduleSetting.settings.schema[moduleSetting.setting], value, key) }
+                    : validateSetting(key, value, { force: context.args.force, moduleKeys: this.moduleSettingKeys() });
+
+                if (JSON.stringify(setting.value) === JSON.stringify(config.get(setting.key))) continue;
+
+                if (isInstanceKey(setting.key) && !context.args.force) {
+                    refused.push(`• \`${setting.key}\``);
+                } else {
+                    changes[setting.key] = setting.value;
+                }
+            } catch (error) {
+                errors.push(`• ${error.message}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return `❌ *Import Refused*\n\nNothing was changed. Fix these first:\n${errors.slice(0, 20).join('\n')}` +
+                   (errors.length > 20 ? `\n…and ${errors.length - 20} more` : '');
+        }
+
+        if (refused.length > 0) {
+            return `❌ *Import Refused*\n\nNothing was changed. The file sets instance settings, which belong to this bot:\n` +
+                   `${refused.join('\n')}\n\n💡 Remove them from the file, or \`.config import --force\` to replace them`;
+        }
+
+        const keys = Object.keys(changes);
+        if (keys.length === 0) {
+            return 'ℹ️ These settings match the current configuration, nothing to import.';
+        }
+
+        const describe = key =>
+            `• \`${key}\`: ${this.formatConfigValue(key, config.get(key))} → ${this.formatConfigValue(key, changes[key])}`;
+        const diff = keys.filter(key => !isInstanceKey(key)).map(describe);
+        const instance = keys.filter(isInstanceKey).map(describe);
+        const approved = await context.ask(
+            `📥 *Import ${keys.length} Setting(s)?*\n\n${diff.slice(0, 30).join('\n')}` +
+            (diff.length > 30 ? `\n…and ${diff.length - 30} more` : '') +
+            (instance.length ? `\n\n⚠️ *Instance settings (--force)*\n${instance.join('\n')}` : ''),
+            { choices: [{ label: '✅ Apply', value: true }, { label: '❌ Cancel', value: false }] }
+        );
+        if (!approved) {
+            return '🚫 Import cancelled, nothing was changed.';
+        }
+
+        await config.update(changes, { by: context.participant });
+
+        // Modules that were waiting for settings the import supplied
+        const loader = this.bot.moduleLoader;
+        const reloaded = [];
+        for (const [name, info] of [...loader.modules]) {
+            if (info.unconfigured?.length > 0 && info.config.missing().length === 0) {
+                const result = await loader.reloadModule(name)
+                    .catch(error => ({ status: 'failed', reason: error.message }));
+                reloaded.push(`${name}: ${result?.status === 'loaded' ? 'Active' : result?.status}`);
+            }
+        }
+
+        return `✅ *Configuration Imported*\n\n📋 ${keys.length} setting(s) changed` +
+               (reloaded.length ? `\n🔄 Reloaded ${reloaded.join(', ')}` : '') +
+               `\n\n💡 \`.config history\` lists them; \`.config rollback <id>\` undoes one`;
+    }
+
+    async showConfigHistory(key) {
+        const entries = await this.bot.configHistory.list(key || null, 15);
+        if (entries.length === 0) {
+            return `📜 No configuration changes${key ? ` for \`${key}\`` : ''} recorded.`;
+        }
+
+        const lines = entries.map(entry => {
+            const when = new Date(entry.at).toISOString().slice(0, 16).replace('T', ' ');
+            const by = entry.by === 'system' ? 'system' : entry.by.split('@')[0];
+            const change = entry.action === 'clear'
+                ? 'cleared all settings'
+                : `\`${entry.key}\` ${this.formatConfigValue(entry.key, entry.oldValue)} → ${this.formatConfigValue(entry.key, entry.value)}`;
+            const label = entry.action === 'rollback' ? `rollback of #${entry.rollbackOf}` : entry.action;
+            return `#${entry._id} · ${when} · ${label} by ${by}\n   ${change}`;
+        });
+
+        return `📜 *Configuration History*${key ? ` – ${key}` : ''}\n\n${lines.join('\n')}\n\n` +
+               `💡 \`.config rollback <id>\` puts a key back as it was before that change`;
+    }
+
+    // Validated against the module's schema; a module waiting for this value is reloaded
+    async setModuleSetting({ moduleName, setting, settings }, rawValue, context) {
+        try {
+            await settings.set(setting, rawValue, { by: context.participant });
+        } catch (error) {
+            return `❌ ${error.message}`;
+        }
+
+        let text = `✅ *Configuration Updated*\n\n` +
+                   `🔑 Key: \`${settings.path(setting)}\`\n` +
+                   `💎 New Value: ${settings.display(setting)}`;
+
+        const loader = this.bot.moduleLoader;
+        if (loader.modules.get(moduleName)?.unconfigured.length > 0 && settings.missing().length === 0) {
+            const result = await loader.reloadModule(moduleName)
+                .catch(error => ({ status: 'failed', reason: error.message }));
+            text += `\n\n🔄 ${moduleName} reloaded: ${result?.status === 'loaded' ? 'Active' : `${result?.status} (${result?.reason})`}`;
+        } else if (settings.missing().length > 0) {
+            text += `\n\n⚠️ Still missing: ${settings.missing().join(', ')}`;
+        }
+        return text;
+    }
+
     async banUser(msg, params, context) {
         const phone = (params[0] || '').replace('+', '');
         if (!phone) return '❌ Usage: `.ban <number>`';
         const list = config.get('security.blockedUsers') || [];
         if (list.includes(phone)) return `❌ User ${phone} is already banned.`;
 
-        list.push(phone);
-        await config.set('security.blockedUsers', list);
+        await config.set('security.blockedUsers', [...list, phone], { by: context.participant });
         this.incrementCommandCount('ban');
 
         if (this.bot.telegramBridge) {
@@ -273,7 +690,7 @@ async restart(msg, params, context) {
         const list = config.get('security.blockedUsers') || [];
         if (!list.includes(phone)) return `❌ User ${phone} is not banned.`;
 
-        await config.set('security.blockedUsers', list.filter(p => p !== phone));
+        await config.set('security.blockedUsers', list.filter(p => p !== phone), { by: context.participant });
         this.incrementCommandCount('unban');
 
         if (this.bot.telegramBridge) {
@@ -283,8 +700,7 @@ async restart(msg, params, context) {
     }
 
     async broadcast(msg, params, context) {
-        const text = params.join(' ');
-        if (!text) return '❌ Usage: `.broadcast <message>`';
+        const text = context.args.message;
 
         const chats = this.bot.telegramBridge?.chatMappings.keys() || [];
         let sent = 0;
@@ -304,6 +720,204 @@ async restart(msg, params, context) {
         return `📢 *Broadcast Sent*\n\nSent to ${sent} chats.`;
     }
 
+    async managePermissions(msg, params, context) {
+        const permissions = this.bot.permissions;
+        const { action } = context.args;
+        const words = (context.args.rest || '').split(/\s+/).filter(Boolean);
+        const { mentions, quoted } = normalizeMessage(msg);
+        const mentioned = mentions[0] || quoted?.key.participant;
+        const usage = `💡 Usage:\n` +
+                      `• \`.perm grant <role> <@user|number>\`\n` +
+                      `• \`.perm revoke <role> <@user|number>\`\n` +
+                      `• \`.perm list [role]\`\n` +
+                      `• \`.perm set command|module <name> <level|role|number,...>\`\n` +
+                      `• \`.perm reset command|module <name>\``;
+
+        switch (action) {
+            case 'grant':
+            case 'revoke': {
+                const [role, target] = words;
+                const user = (target && !target.startsWith('@') ? target : null) || mentioned;
+                if (!role || !user) return `❌ Usage: \`.perm ${action} <role> <@user|number>\``;
+                if (['owner', 'public', 'groupAdmin'].includes(role)) {
+                    return `❌ *${role}* cannot be ${action === 'grant' ? 'granted' : 'revoked'}; it is not a stored role.`;
+                }
+
+                const userId = permissions.normalizeUserId(user);
+                const changed = action === 'grant'
+                    ? await permissions.grant(userId, role)
+                    : await permissions.revoke(userId, role);
+                this.incrementCommandCount('perm');
+
+                if (!changed) {
+                    return action === 'grant'
+                        ? `ℹ️ ${userId} already has *${role}*.`
+                        : `ℹ️ ${userId} does not have *${role}*.`;
+                }
+                return action === 'grant'
+                    ? `✅ *Role Granted*\n\n👤 ${userId}\n🏷️ ${role}`
+                    : `🗑️ *Role Revoked*\n\n👤 ${userId}\n🏷️ ${role}`;
+            }
+
+            case 'set': {
+                const [scope, target, ...rest] = words;
+                const value = rest.join('').split(',').filter(Boolean);
+                if (!['command', 'module'].includes(scope) || !target || value.length === 0) {
+                    return '❌ Usage: `.perm set command|module <name> <level|role|number,...>`';
+                }
+                if (scope === 'command' && !this.bot.messageHandler.commandHandlers.has(target.toLowerCase())) {
+                    return `❌ Unknown command: ${target}`;
+                }
+                if (scope === 'module' && !this.bot.moduleLoader.getModule(target)) {
+                    return `❌ Unknown module: ${target}`;
+                }
+
+                // Resolve aliases to the command's own name, overrides are keyed by it
+                const name = scope === 'command'
+                    ? this.bot.messageHandler.commandHandlers.get(target.toLowerCase()).name || target.toLowerCase()
+                    : target;
+                const permission = value.length === 1 ? value[0] : value;
+                await permissions.setOverride(scope, name, permission);
+                this.incrementCommandCount('perm');
+                return `✅ *Override Set*\n\n🎯 ${scope} ${name}\n🔐 ${value.join(', ')}`;
+            }
+
+            case 'reset': {
+                const [scope, target] = words;
+                if (!['command', 'module'].includes(scope) || !target) {
+                    return '❌ Usage: `.perm reset command|module <name>`';
+                }
+                const name = scope === 'command'
+                    ? this.bot.messageHandler.commandHandlers.get(target.toLowerCase())?.name || target.toLowerCase()
+                    : target;
+                const removed = await permissions.clearOverride(scope, name);
+                this.incrementCommandCount('perm');
+                return removed
+                    ? `✅ *Override Removed*\n\n🎯 ${scope} ${name}`
+                    : `ℹ️ No override for ${scope} ${name}.`;
+            }
+
+            case 'list': {
+                const [role] = words;
+                if (role) {
+                    const members = permissions.membersOf(role);
+                    return `🏷️ *Role: ${role}*\n\n` +
+                           (members.length ? members.map(id => `• ${id}`).join('\n') : '_No members_');
+                }
+
+                const roles = permissions.listRoles()
+                    .map(name => {
+                        const count = permissions.membersOf(name).length;
+                        return `• ${name}${count ? ` (${count})` : ''}`;
+                    });
+                const overrides = permissions.getOverrides()
+                    .map(o => `• ${o.scope} ${o.target} → ${[].concat(o.permission).join(', ')}`);
+
+                return `🔐 *Permissions*\n\n` +
+                       `🏷️ Roles:\n${roles.join('\n')}\n\n` +
+                       `🎯 Overrides:\n${overrides.length ? overrides.join('\n') : '_None_'}`;
+            }
+
+            default:
+                return `🔐 *Permission Management*\n\n${usage}`;
+        }
+    }
+
+    async toggleFeature(disable, msg, params, context) {
+        const toggles = this.bot.toggles;
+        const action = disable ? 'disable' : 'enable';
+        const { target, scope: globalScope } = context.args;
+        const scope = globalScope ? 'global' : context.sender;
+
+        if (!target) {
+            const format = (list) => list.modules.map(m => `• ${m} (module)`)
+                .concat(list.commands.map(c => `• .${c}`));
+            const here = format(toggles.list(context.sender));
+            const everywhere = format(toggles.list('global'));
+            return `🎚️ *Disabled Here*\n${here.length ? here.join('\n') : '_Nothing_'}\n\n` +
+                   `🌍 *Disabled Everywhere*\n${everywhere.length ? everywhere.join('\n') : '_Nothing_'}\n\n` +
+                   `💡 Usage: \`.${action} <module|command> [global]\``;
+        }
+
+        if (globalScope) {
+            const user = await this.bot.permissions.resolveUser(msg);
+            if (!user.roles.has('admin')) return `❌ Only bot admins can ${action} things globally.`;
+        }
+
+        // Modules win over commands of the same name
+        const name = target.toLowerCase();
+        let type = 'modules';
+        let resolved = this.bot.moduleLoader.getModule(name) ? name : null;
+        if (!resolved) {
+            const handler = this.bot.messageHandler.commandHandlers.get(name);
+            if (!handler) return `❌ No module or command named *${target}*.`;
+            type = 'commands';
+            resolved = handler.name || name;
+        }
+
+        if (type === 'commands' && toggles.isProtected(resolved)) {
+            return `❌ *.${resolved}* cannot be disabled.`;
+        }
+
+        const changed = await toggles.set(scope, type, resolved, disable);
+        this.incrementCommandCount(action);
+
+        const label = type === 'modules' ? `module *${resolved}*` : `command *.${resolved}*`;
+        const where = globalScope ? 'everywhere' : 'in this chat';
+        if (!changed) return `ℹ️ The ${label} is already ${action}d ${where}.`;
+        return `${disable ? '🚫' : '✅'} The ${label} is now ${action}d ${where}.`;
+    }
+
+    async setChatPrefix(msg, params, context) {
+        const prefixes = this.bot.prefixes;
+        const input = (context.args.prefixes || '').split(/\s+/).filter(Boolean);
+
+        if (input.length === 0) {
+            const active = prefixes.get(context.sender).join(' ');
+            return `🔣 *Prefix*\n\nActive here: ${active}\n` +
+                   `Default: ${prefixes.getGlobal().join(' ')}${prefixes.hasCustom(context.sender) ? '' : ' (in use)'}\n\n` +
+                   `💡 Usage: \`${context.prefix}setprefix <prefix>\` or \`${context.prefix}setprefix reset\``;
+        }
+
+        if (input.length === 1 && input[0].toLowerCase() === 'reset') {
+            const changed = await prefixes.reset(context.sender);
+            this.incrementCommandCount('setprefix');
+            return changed
+                ? `✅ Prefix reset to the default: ${prefixes.get(context.sender).join(' ')}`
+                : `ℹ️ This chat already uses the default prefix: ${prefixes.get(context.sender).join(' ')}`;
+        }
+
+        // Letters or digits as a prefix would turn ordinary words into commands
+        const invalid = input.find(prefix => !/^[^\s\w]{1,3}$/.test(prefix));
+        if (invalid) return `❌ *${invalid}* is not a valid prefix. Use 1-3 symbols, like ! or #.`;
+
+        await prefixes.set(context.sender, [...new Set(input)]);
+        this.incrementCommandCount('setprefix');
+        return `✅ Prefix for this chat is now ${[...new Set(input)].join(' ')}\n\n` +
+               `💡 Try \`${input[0]}help\``;
+    }
+
+    async cancelCommand(msg, params, context) {
+        const handler = this.bot.messageHandler;
+        const isOwner = handler.isOwner(msg);
+        const all = context.args.scope === 'all';
+        if (all && !isOwner) return '❌ Only the owner can cancel commands in every chat.';
+
+        const user = handler.getUserKey(msg);
+        const jobs = handler.queue.getJobs(all ? null : context.sender)
+            .filter(job => job.messageId !== msg.key.id)
+            .filter(job => isOwner || job.user === user);
+
+        if (jobs.length === 0) return '❌ No running command to cancel.';
+
+        const by = isOwner ? 'owner' : user.split('@')[0];
+        const cancelled = jobs.filter(job => handler.queue.cancel(job, by));
+        this.incrementCommandCount('cancel');
+
+        return `🛑 *Cancelled ${cancelled.length} command(s)*\n\n` +
+            cancelled.map(job => `• .${job.command} (${Math.round((Date.now() - job.startedAt) / 1000)}s)`).join('\n');
+    }
+
 async updateCode(msg, params, context) {
     return new Promise((resolve) => {
         exec('git pull', async (err, stdout, stderr) => {
@@ -105,9 +105,9 @@ class DownloaderModule {
     }
 
     // Generic API request handler
-    async _fetchFromApi(url) {
+    async _fetchFromApi(url, signal) {
         try {
-            const response = await fetch(url);
+            const response = await fetch(url, { signal });
             if (!response.ok) {
                 throw new Error(`API request failed with status ${response.status}`);
             }
@@ -120,7 +120,7 @@ class DownloaderModule {
     // Helper function to download and send media
     async _downloadAndSendMedia(msg, mediaUrl, caption, type, context) {
         try {
-            const response = await fetch(mediaUrl);
+            const response = await fetch(mediaUrl, { signal: context.signal });
             if (!response.ok) throw new Error(`Failed to fetch media: ${response.status}`);
             
             const buffer = await response.arrayBuffer();
@@ -169,7 +169,7 @@ class DownloaderModule {
         const url = params[0];
         
         try {
-            const result = await this._fetchFromApi(`${this.delirusApi}/tiktok?url=${encodeURIComponent(url)}`);
+            const result = await this._fetchFromApi(`${this.delirusApi}/tiktok?url=${encodeURIComponent(url)}`, context.signal);
             const data = result.data;
 
             const caption = `╭  ✦ TikTok Download ✦  ╮\n\n` +
@@ -208,7 +208,7 @@ class DownloaderModule {
         
         try {
             const endpoint = url.includes('/stories/') ? 'igstories' : 'instagram';
-            const result = await this._fetchFromApi(`${this.delirusApi}/${endpoint}?url=${encodeURIComponent(url)}`);
+            const result = await this._fetchFromApi(`${this.delirusApi}/${endpoint}?url=${encodeURIComponent(url)}`, context.signal);
             const media = result.data;
 
             let responseText = `*亗 I N S T A G R A M*\n\n`;
@@ -242,7 +242,7 @@ class DownloaderModule {
         const url = params[0];
         
         try {
-            const result = await this._fetchFromApi(`${this.delirusApi}/twitterv2?url=${encodeURIComponent(url)}`);
+            const result = await this._fetchFromApi(`${this.delirusApi}/twitterv2?url=${encodeURIComponent(url)}`, context.signal);
             const data = result.data;
             
             if (!data.media || !data.media[0]) {
@@ -291,7 +291,7 @@ class DownloaderModule {
         const url = params[0];
         
         try {
-            const result = await this._fetchFromApi(`${this.delirusApi}/facebook?url=${encodeURIComponent(url)}`);
+            const result = await this._fetchFromApi(`${this.delirusApi}/facebook?url=${encodeURIComponent(url)}`, context.signal);
             
             if (!result.urls || !Array.isArray(result.urls) || result.urls.length === 0) {
                 throw new Error('No media URLs found in API response');
@@ -331,7 +331,7 @@ class DownloaderModule {
         }
 
         try {
-            const result = await this._fetchFromApi(`${this.spotifyApi}?url=${encodeURIComponent(url)}`);
+            const result = await this._fetchFromApi(`${this.spotifyApi}?url=${encodeURIComponent(url)}`, context.signal);
             
             if (!result.status || !result.result) {
                 throw new Error('Invalid API response');
@@ -370,7 +370,7 @@ class DownloaderModule {
         const url = params[0];
         
         try {
-            const result = await this._fetchFromApi(`${this.delirusApi}/soundcloud?url=${encodeURIComponent(url)}`);
+            const result = await this._fetchFromApi(`${this.delirusApi}/soundcloud?url=${encodeURIComponent(url)}`, context.signal);
             const res = result.data;
 
             const caption = `╭  ✦ Soundcloud Download ✦  ╮\n\n` +
@@ -400,7 +400,7 @@ class DownloaderModule {
         const url = params[0];
         
         try {
-            const result = await this._fetchFromApi(`${this.nekoApi}/youtube?url=${encodeURIComponent(url)}&format=128&type=audio`);
+            const result = await this._fetchFromApi(`${this.nekoApi}/youtube?url=${encodeURIComponent(url)}&format=128&type=audio`, context.signal);
             
             if (!result.status || !result.result) {
                 throw new Error('Invalid API response');
@@ -437,7 +437,7 @@ class DownloaderModule {
         const url = params[0];
         
         try {
-            const result = await this._fetchFromApi(`${this.nekoApi}/youtube?url=${encodeURIComponent(url)}&format=480&type=video`);
+            const result = await this._fetchFromApi(`${this.nekoApi}/youtube?url=${encodeURIComponent(url)}&format=480&type=video`, context.signal);
             
             if (!result.status || !result.result) {
                 throw new Error('Invalid API response');
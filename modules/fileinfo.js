@@ -1,6 +1,5 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { downloadContentFromMessage } = require('@whiskeysockets/baileys');
 
 class FileInfoModule {
     constructor(bot) {
@@ -43,14 +42,14 @@ class FileInfoModule {
 
 
     async getFileInfo(msg, params, context) {
-        const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+        const media = context.getMedia();
         
-        if (!quotedMsg) {
-            return '❌ *File Information*\n\nPlease reply to a file, image, video, audio, or document.\n\n💡 Usage: Reply to any media and type `.fileinfo`';
+        if (!media) {
+            return '❌ *File Information*\n\nPlease reply to a file, image, video, audio, or document.\n\n💡 Usage: Reply to any media with `.fileinfo`, or use it as the caption';
         }
 
         try {
-            const mediaInfo = this.extractMediaInfo(quotedMsg);
+            const mediaInfo = this.extractMediaInfo(media);
             
             if (!mediaInfo) {
                 return '❌ *No Media Found*\n\nThe replied message doesn\'t contain any media files.';
@@ -102,26 +101,21 @@ class FileInfoModule {
     }
 
     async getMediaInfo(msg, params, context) {
-        const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+        const media = context.getMedia();
         
-        if (!quotedMsg) {
-            return '❌ *Media Information*\n\nPlease reply to an image, video, or audio file.\n\n💡 Usage: Reply to media and type `.mediainfo`';
+        if (!media) {
+            return '❌ *Media Information*\n\nPlease reply to an image, video, or audio file.\n\n💡 Usage: Reply to media with `.mediainfo`, or use it as the caption';
         }
 
         try {
-            const mediaInfo = this.extractMediaInfo(quotedMsg);
+            const mediaInfo = this.extractMediaInfo(media);
             
             if (!mediaInfo || !['image', 'video', 'audio'].includes(mediaInfo.type)) {
                 return '❌ *No Media Found*\n\nPlease reply to an image, video, or audio file.';
             }
 
             // Download media for detailed analysis
-            const stream = await downloadContentFromMessage(quotedMsg[`${mediaInfo.type}Message`], mediaInfo.type);
-            const chunks = [];
-            for await (const chunk of stream) {
-                chunks.push(chunk);
-            }
-            const buffer = Buffer.concat(chunks);
+            const buffer = await media.download();
 
             const fileName = `analysis_${Date.now()}.${this.getFileExtension(mediaInfo.mimetype)}`;
             const filePath = path.join(this.tempDir, fileName);
@@ -174,43 +168,13 @@ class FileInfoModule {
 
    
 
-    extractMediaInfo(quotedMsg) {
-        if (quotedMsg.imageMessage) {
-            return {
-                type: 'image',
-                ...quotedMsg.imageMessage
-            };
-        }
-        
-        if (quotedMsg.videoMessage) {
-            return {
-                type: 'video',
-                ...quotedMsg.videoMessage
-            };
-        }
-        
-        if (quotedMsg.audioMessage) {
-            return {
-                type: 'audio',
-                ...quotedMsg.audioMessage
-            };
-        }
-        
-        if (quotedMsg.documentMessage) {
-            return {
-                type: 'document',
-                ...quotedMsg.documentMessage
-            };
-        }
-        
-        if (quotedMsg.stickerMessage) {
-            return {
-                type: 'sticker',
-                ...quotedMsg.stickerMessage
-            };
-        }
+    extractMediaInfo(media) {
+        if (!media) return null;
 
-        return null;
+        return {
+            ...media.message,
+            type: media.type === 'ptv' ? 'video' : media.type
+        };
     }
 
     formatFileSize(bytes) {
@@ -1,5 +1,6 @@
 
 const config = require('../config');
+const { normalizeMessage } = require('../utils/messageNormalizer');
 const helpers = require('../utils/helpers');
 
 class GroupManagement {
@@ -129,13 +130,18 @@ class GroupManagement {
     }
 
     async init() {
-        // Load group settings from database if available
-        this.loadGroupSettings();
+        await this.loadGroupSettings();
     }
 
-    loadGroupSettings() {
-        // Initialize default settings for groups
-        // In a real implementation, this would load from database
+    // Settings are kept in memory for the message hooks and written through to storage
+    async loadGroupSettings() {
+        for (const { key, value } of await this.storage.list('settings:')) {
+            this.groupSettings.set(key.slice('settings:'.length), value);
+        }
+    }
+
+    async saveGroupSettings(groupId) {
+        await this.storage.set(`settings:${groupId}`, this.getGroupSettings(groupId));
     }
 
     getGroupSettings(groupId) {
@@ -511,11 +517,13 @@ class GroupManagement {
         
         if (action === 'on' || action === 'enable') {
             settings.antilink = true;
+            await this.saveGroupSettings(context.sender);
             await context.bot.sendMessage(context.sender, {
                 text: '✅ Anti-Link protection enabled! Links will be automatically deleted.'
             });
         } else if (action === 'off' || action === 'disable') {
             settings.antilink = false;
+            await this.saveGroupSettings(context.sender);
             await context.bot.sendMessage(context.sender, {
                 text: '❌ Anti-Link protection disabled!'
             });
@@ -545,11 +553,13 @@ class GroupManagement {
         
         if (action === 'on' || action === 'enable') {
             settings.welcome = true;
+            await this.saveGroupSettings(context.sender);
             await context.bot.sendMessage(context.sender, {
                 text: '✅ Welcome messages enabled!'
             });
         } else if (action === 'off' || action === 'disable') {
             settings.welcome = false;
+            await this.saveGroupSettings(context.sender);
             await context.bot.sendMessage(context.sender, {
                 text: '❌ Welcome messages disabled!'
             });
@@ -635,14 +645,16 @@ class GroupManagement {
     }
 
     async getTargetUser(msg, params, context) {
+        const { quoted, mentions } = normalizeMessage(msg);
+
         // Check if replying to a message
-        if (msg.message?.extendedTextMessage?.contextInfo?.quotedMessage) {
-            return msg.message.extendedTextMessage.contextInfo.participant;
+        if (quoted) {
+            return quoted.key.participant;
         }
         
         // Check for mentions
-        if (msg.message?.extendedTextMessage?.contextInfo?.mentionedJid?.length > 0) {
-            return msg.message.extendedTextMessage.contextInfo.mentionedJid[0];
+        if (mentions.length > 0) {
+            return mentions[0];
         }
         
         // Check for phone number in params
@@ -0,0 +1,295 @@
+const logger = require('../Core/logger');
+
+class MacrosModule {
+    constructor(bot) {
+        this.bot = bot;
+        this.name = 'macros';
+        this.metadata = {
+            description: 'User-defined command aliases and multi-step macros',
+            version: '1.0.0',
+            author: 'HyperWa Team',
+            category: 'utility'
+        };
+
+        this.collection = null;
+        this.definitions = new Map(); // name -> { type: 'alias' | 'macro', target | steps }
+        this.maxDepth = 5; // Macros may call macros, but not forever
+        this.depth = new WeakMap(); // msg -> current expansion depth
+
+        this.commands = [
+            {
+                name: 'alias',
+                description: 'Create a shortcut for a command',
+                usage: '.alias add <name> <command> [args] | .alias remove <name> | .alias list',
+                permissions: 'admin',
+                args: [
+                    { name: 'action', type: 'string', optional: true, choices: ['add', 'remove', 'list'] },
+                    { name: 'name', type: 'string', optional: true },
+                    { name: 'target', type: 'string', optional: true, rest: true }
+                ],
+                ui: {
+                    processingText: '🔗 *Updating aliases...*',
+                    errorText: '❌ *Alias update failed*'
+                },
+                execute: this.manageAlias.bind(this)
+            },
+            {
+                name: 'macro',
+                description: 'Create a command that runs several commands',
+                usage: '.macro add <name> ".cmd1 $1; .cmd2 $@" | .macro remove <name> | .macro list',
+                permissions: 'admin',
+                args: [
+                    { name: 'action', type: 'string', optional: true, choices: ['add', 'remove', 'list'] },
+                    { name: 'name', type: 'string', optional: true },
+                    { name: 'body', type: 'string', optional: true, rest: true }
+                ],
+                ui: {
+                    processingText: '🧩 *Updating macros...*',
+                    errorText: '❌ *Macro update failed*'
+                },
+                execute: this.manageMacro.bind(this)
+            }
+        ];
+    }
+
+    async init() {
+        if (!this.bot.db) {
+            logger.warn('⚠️ Macros module has no database, aliases and macros will not persist');
+            return;
+        }
+
+        this.collection = this.bot.db.collection('macros');
+        const docs = await this.collection.find({}).toArray();
+
+        // Pushed before the loader registers this.commands, so they are registered with the rest
+        for (const doc of docs) {
+            const definition = doc.type === 'alias'
+                ? { type: 'alias', target: doc.target }
+                : { type: 'macro', steps: doc.steps };
+            this.definitions.set(doc._id, definition);
+            this.commands.push(this.buildCommand(doc._id, definition));
+        }
+
+        logger.info(`🧩 Loaded ${docs.length} aliases and macros`);
+    }
+
+    /**
+     * Replace `$1`..`$9` with positional arguments and `$@` with all of them.
+     * @returns {{text: string, used: boolean}} `used` is false when the template had no placeholders.
+     */
+    expand(template, params) {
+        let used = false;
+        const text = template.replace(/\$(\d|@)/g, (_, key) => {
+            used = true;
+            return key === '@' ? params.join(' ') : (params[Number(key) - 1] ?? '');
+        });
+        return { text: text.replace(/\s+/g, ' ').trim(), used };
+    }
+
+    // Accepts the chat's prefixes and the global ones, so definitions copied from another chat still work
+    stripPrefix(text, chatId) {
+        const prefix = this.bot.prefixes.match(text, chatId) ?? this.bot.prefixes.match(text);
+        return prefix ? text.slice(prefix.length) : text;
+    }
+
+    // Strictest permission among the commands a definition runs, so help only lists what can actually be used
+    inheritPermissions(commandLines) {
+        const rank = { public: 0, groupAdmin: 1, admin: 3, owner: 4 };
+        let strictest = 'public';
+
+        for (const line of commandLines) {
+            const name = line.split(/\s+/)[0].toLowerCase();
+            const handler = this.bot.messageHandler.commandHandlers.get(name);
+            const permission = handler ? this.bot.permissions.getRequired(handler) : 'public';
+            const value = Array.isArray(permission) ? 2 : (rank[permission] ?? 2);
+            if (value > (rank[strictest] ?? 2)) strictest = permission;
+        }
+
+        return strictest;
+    }
+
+    buildCommand(name, definition) {
+        const self = this;
+
+        if (definition.type === 'alias') {
+            return {
+                name,
+                description: `Alias for .${definition.target}`,
+                usage: `.${name} [args]`,
+                // Resolved on read: the target may belong to a module loaded after this one
+                get permissions() { return self.inheritPermissions([definition.target]); },
+                isUserDefined: true,
+                execute: (msg, params, context) => this.runLines(msg, name, [
+                    `${definition.target} ${context.argText}`.trim()
+                ])
+            };
+        }
+
+        return {
+            name,
+            description: `Macro: ${definition.steps.map(step => `.${step}`).join('; ')}`,
+            usage: `.${name} [args]`,
+            get permissions() { return self.inheritPermissions(definition.steps); },
+            isUserDefined: true,
+            execute: (msg, params, context) => this.runLines(msg, name, definition.steps.map(step => {
+                const { text, used } = this.expand(step, params);
+                // Steps without placeholders get no arguments rather than all of them
+                return used ? text : step;
+            }))
+        };
+    }
+
+    // Each line goes back through the handler, so permissions and middleware apply per command
+    async runLines(msg, name, lines) {
+        const prefix = this.bot.prefixes.primary(msg.key.remoteJid);
+        const depth = this.depth.get(msg) || 0;
+        if (depth >= this.maxDepth) {
+            throw new Error(`${prefix}${name} nests too deeply (limit ${this.maxDepth})`);
+        }
+
+        this.depth.set(msg, depth + 1);
+        try {
+            // Each step keeps its own reply; sharing the message's would make step 2 edit step 1's output
+            for (const [index, line] of lines.entries()) {
+                await this.bot.messageHandler.handleCommand(msg, `${prefix}${line}`, null, {
+                    responseId: `${msg.key.id}#${depth}.${name}.${index}`
+                });
+            }
+        } finally {
+            this.depth.set(msg, depth);
+        }
+    }
+
+    async save(name, definition) {
+        this.definitions.set(name, definition);
+
+        const command = this.buildCommand(name, definition);
+        this.commands = this.commands.filter(cmd => cmd.name !== name);
+        this.commands.push(command);
+        this.registry.registerCommand(name, command);
+
+        if (this.collection) {
+            await this.collection.updateOne(
+                { _id: name },
+                { $set: { ...definition, updatedAt: new Date() } },
+                { upsert: true }
+            );
+        }
+    }
+
+    async remove(name) {
+        this.definitions.delete(name);
+        this.commands = this.commands.filter(cmd => cmd.name !== name);
+        this.registry.unregisterCommand(name);
+
+        if (this.collection) {
+            await this.collection.deleteOne({ _id: name });
+        }
+    }
+
+    // A new name must not shadow a built-in command; redefining one of ours is fine
+    checkName(name, type, prefix) {
+        if (!/^[a-z0-9][\w-]*$/i.test(name)) {
+            return `❌ Invalid name *${name}*. Use letters, numbers, - and _.`;
+        }
+        const existing = this.definitions.get(name);
+        if (existing && existing.type !== type) {
+            return `❌ *${name}* is already a ${existing.type}. Remove it first.`;
+        }
+        if (!existing && this.bot.messageHandler.commandHandlers.has(name)) {
+            return `❌ *${prefix}${name}* is already a command.`;
+        }
+        return null;
+    }
+
+    checkTarget(line, prefix) {
+        const command = line.split(/\s+/)[0].toLowerCase();
+        if (!command || !this.bot.messageHandler.commandHandlers.has(command)) {
+            return `❌ Unknown command: ${prefix}${command}`;
+        }
+        return null;
+    }
+
+    listOf(type, prefix) {
+        return [...this.definitions]
+            .filter(([, definition]) => definition.type === type)
+            .map(([name, definition]) => type === 'alias'
+                ? `• ${prefix}${name} → ${prefix}${definition.target}`
+                : `• ${prefix}${name} → ${definition.steps.map(step => `${prefix}${step}`).join('; ')}`);
+    }
+
+    async manageAlias(msg, params, context) {
+        const { action } = context.args;
+        const name = context.args.name?.toLowerCase();
+        const target = context.args.target && this.stripPrefix(context.args.target, context.sender);
+        const p = context.prefix;
+
+        switch (action) {
+            case 'add': {
+                if (!name || !target) return `❌ Usage: \`${p}alias add <name> <command> [args]\``;
+                const error = this.checkName(name, 'alias', p) || this.checkTarget(target, p);
+                if (error) return error;
+                if (target.split(/\s+/)[0].toLowerCase() === name) {
+                    return '❌ An alias cannot point to itself.';
+                }
+
+                await this.save(name, { type: 'alias', target });
+                return `✅ *Alias Added*\n\n${p}${name} → ${p}${target}`;
+            }
+
+            case 'remove': {
+                if (!name) return `❌ Usage: \`${p}alias remove <name>\``;
+                if (this.definitions.get(name)?.type !== 'alias') return `❌ No alias named *${name}*.`;
+
+                await this.remove(name);
+                return `🗑️ *Alias Removed*\n\n${p}${name}`;
+            }
+
+            default: {
+                const aliases = this.listOf('alias', p);
+                return `🔗 *Aliases*\n\n${aliases.length ? aliases.join('\n') : '_None yet_'}\n\n` +
+                       `💡 Usage: \`${p}alias add <name> <command> [args]\``;
+            }
+        }
+    }
+
+    async manageMacro(msg, params, context) {
+        const { action, body } = context.args;
+        const name = context.args.name?.toLowerCase();
+        const p = context.prefix;
+
+        switch (action) {
+            case 'add': {
+                const steps = (body || '').split(';')
+                    .map(step => this.stripPrefix(step.trim(), context.sender).trim())
+                    .filter(Boolean);
+                if (!name || steps.length === 0) return `❌ Usage: \`${p}macro add <name> "${p}cmd1 $1; ${p}cmd2 $@"\``;
+
+                const error = this.checkName(name, 'macro', p) ||
+                              steps.map(step => this.checkTarget(step, p)).find(Boolean);
+                if (error) return error;
+
+                await this.save(name, { type: 'macro', steps });
+                return `✅ *Macro Added*\n\n${p}${name} runs:\n` +
+                       steps.map((step, i) => `${i + 1}. ${p}${step}`).join('\n');
+            }
+
+            case 'remove': {
+                if (!name) return `❌ Usage: \`${p}macro remove <name>\``;
+                if (this.definitions.get(name)?.type !== 'macro') return `❌ No macro named *${name}*.`;
+
+                await this.remove(name);
+                return `🗑️ *Macro Removed*\n\n${p}${name}`;
+            }
+
+            default: {
+                const macros = this.listOf('macro', p);
+                return `🧩 *Macros*\n\n${macros.length ? macros.join('\n') : '_None yet_'}\n\n` +
+                       `💡 Placeholders: \`$1\`..\`$9\` for arguments, \`$@\` for all of them.\n` +
+                       `💡 Usage: \`${p}macro add <name> "${p}cmd1 $1; ${p}cmd2 $@"\``;
+            }
+        }
+    }
+}
+
+module.exports = MacrosModule;
@@ -2,7 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const { tmpdir } = require('os');
 const { exec } = require('child_process');
-const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const { normalizeMessage } = require('../utils/messageNormalizer');
 const helpers = require('../utils/helpers');
 
 module.exports = {
@@ -22,8 +22,7 @@ module.exports = {
          async execute(msg, args, { bot }) {
             const sock = bot.sock;
 
-            const contextInfo = msg.message?.extendedTextMessage?.contextInfo;
-            const quoted = contextInfo?.quotedMessage;
+            const { quoted } = normalizeMessage(msg);
 
             if (!quoted) {
                return sock.sendMessage(msg.key.remoteJid, {
@@ -32,27 +31,22 @@ module.exports = {
             }
 
             try {
-               const rawType = Object.keys(quoted)[0];
-               const content = quoted[rawType];
-
+               // The normalizer already unwrapped viewOnceMessage / viewOnceMessageV2
                const typeMap = {
-                  imageMessage: 'image',
-                  videoMessage: 'video',
-                  audioMessage: 'audio'
+                  image: 'image',
+                  video: 'video',
+                  ptv: 'video',
+                  audio: 'audio'
                };
 
-               const mappedType = typeMap[rawType];
+               const mappedType = typeMap[quoted.media?.type];
                if (!mappedType) {
                   return sock.sendMessage(msg.key.remoteJid, {
                      text: '❌ Unsupported media type. Only image, video, or audio are supported.'
                   }, { quoted: msg });
                }
 
-               const buffer = await downloadMediaMessage(
-                  { key: contextInfo, message: quoted },
-                  'buffer',
-                  {}
-               );
+               const buffer = await quoted.download();
 
                if (mappedType === 'audio') {
                   const inputPath = path.join(tmpdir(), `input-${Date.now()}.mp3`);
@@ -78,7 +72,7 @@ module.exports = {
                } else {
                   await sock.sendMessage(msg.key.remoteJid, {
                      [mappedType]: buffer,
-                     caption: content?.caption || ''
+                     caption: quoted.media.caption
                   }, { quoted: msg });
                }
 
@@ -90,13 +90,15 @@ class ServerInfo {
         this.startTime = Date.now();
         this.performanceHistory = [];
         this.maxHistorySize = 100;
-        
+    }
+
+    async init() {
         // Start performance monitoring
         this.startPerformanceMonitoring();
     }
 
     startPerformanceMonitoring() {
-        setInterval(() => {
+        this.registry.setInterval(() => {
             const memUsage = process.memoryUsage();
             const cpuUsage = process.cpuUsage();
             
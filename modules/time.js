@@ -15,15 +15,12 @@ class TimeModule {
       category: 'utility',
     };
 
-    // --- API CREDENTIALS ---
-    // Geonames is required.
-    this.geoApiUsername = 'tahseen'; // Get from geonames.org
-
-    // Weather is optional. Leave as is to disable.
-    this.weatherApiKey = '3ec738bcb912c44a805858054ead1efd'; // Get from openweathermap.org
-    // ---------------------------------------------
-
-    this.defaultLocation = 'Los Angeles';
+    // Set with .config set time.<key> <value>
+    this.configSchema = {
+      geoApiUsername: { type: 'string', required: true, description: 'geonames.org username' },
+      weatherApiKey: { type: 'string', secret: true, description: 'OpenWeatherMap API key; weather is left out without it' },
+      defaultLocation: { type: 'string', default: 'Los Angeles', description: 'City used when none is given' },
+    };
 
     this.WEATHER_EMOJIS = {
       "clear sky": "☀️", "few clouds": "🌤️", "scattered clouds": "⛅️",
@@ -51,11 +48,7 @@ class TimeModule {
    * Main command executor. Orchestrates API calls and formats the final output.
    */
   async timeCommand(msg, params, context) {
-    const location = params.length > 0 ? params.join(' ') : this.defaultLocation;
-
-    if (!this.geoApiUsername || this.geoApiUsername === 'your_geonames_username') {
-      return '❌ Geonames API username must be configured in the TimeModule.';
-    }
+    const location = params.length > 0 ? params.join(' ') : this.config.get('defaultLocation');
 
     try {
       // Basic time/date info is always fetched
@@ -65,7 +58,7 @@ class TimeModule {
 
       // **MODIFIED LOGIC STARTS HERE**
       let weatherLine = ''; // Initialize weather line as an empty string
-      const isWeatherConfigured = this.weatherApiKey && this.weatherApiKey !== 'your_openweathermap_api_key';
+      const isWeatherConfigured = !!this.config.get('weatherApiKey');
 
       // Only fetch and format weather if the API key is set
       if (isWeatherConfigured) {
@@ -105,7 +98,7 @@ class TimeModule {
 
   async _getCoordinates(location) {
     const url = 'http://api.geonames.org/searchJSON';
-    const params = { q: location, username: this.geoApiUsername, maxRows: 1 };
+    const params = { q: location, username: this.config.get('geoApiUsername'), maxRows: 1 };
     try {
       const response = await axios.get(url, { params });
       if (response.data.geonames && response.data.geonames.length > 0) {
@@ -119,7 +112,7 @@ class TimeModule {
 
   async _getTimezoneData(lat, lng) {
     const url = 'http://api.geonames.org/timezoneJSON';
-    const params = { lat, lng, username: this.geoApiUsername };
+    const params = { lat, lng, username: this.config.get('geoApiUsername') };
     try {
       const response = await axios.get(url, { params });
       if (response.data.timezoneId) {
@@ -133,7 +126,7 @@ class TimeModule {
 
   async _getWeatherData(location) {
     const url = 'http://api.openweathermap.org/data/2.5/weather';
-    const params = { q: location, appid: this.weatherApiKey, units: 'metric' };
+    const params = { q: location, appid: this.config.get('weatherApiKey'), units: 'metric' };
     try {
       const response = await axios.get(url, { params });
       return response.data;
@@ -1,4 +1,20 @@
 const axios = require('axios');
+const { normalizeMessage } = require('../utils/messageNormalizer');
+
+// Language codes Google Translate accepts. `lang` must be one of them, so an
+// ordinary word such as "how" in `.tr how are you` is text to translate.
+const LANGUAGE_CODES = [
+  'af', 'ak', 'am', 'ar', 'as', 'ay', 'az', 'be', 'bg', 'bho', 'bm', 'bn', 'bs', 'ca', 'ceb', 'ckb', 'co',
+  'cs', 'cy', 'da', 'de', 'doi', 'dv', 'ee', 'el', 'en', 'eo', 'es', 'et', 'eu', 'fa', 'fi', 'fil', 'fr',
+  'fy', 'ga', 'gd', 'gl', 'gn', 'gom', 'gu', 'ha', 'haw', 'he', 'hi', 'hmn', 'hr', 'ht', 'hu', 'hy', 'id',
+  'ig', 'ilo', 'is', 'it', 'iw', 'ja', 'jv', 'jw', 'ka', 'kk', 'km', 'kn', 'ko', 'kri', 'ku', 'ky', 'la',
+  'lb', 'lg', 'ln', 'lo', 'lt', 'lus', 'lv', 'mai', 'mg', 'mi', 'mk', 'ml', 'mn', 'mni-mtei', 'mr', 'ms',
+  'mt', 'my', 'ne', 'nl', 'no', 'nso', 'ny', 'om', 'or', 'pa', 'pl', 'ps', 'pt', 'qu', 'ro', 'ru', 'rw',
+  'sa', 'sd', 'si', 'sk', 'sl', 'sm', 'sn', 'so', 'sq', 'sr', 'st', 'su', 'sv', 'sw', 'ta', 'te', 'tg',
+  'th', 'ti', 'tk', 'tr', 'ts', 'tt', 'ug', 'uk', 'ur', 'uz', 'vi', 'xh', 'yi', 'yo', 'zh', 'zh-cn',
+  'zh-tw', 'zu',
+];
+const LANGUAGE_PATTERN = new RegExp(`^(${LANGUAGE_CODES.join('|')})$`, 'i');
 
 /**
  * TranslateModule: A simple translator module using Google Translate API.
@@ -15,7 +31,15 @@ class TranslateModule {
       category: 'utility',
     };
 
-    // Default target language (can be changed with .setlang)
+    // Default target language, kept in modules.translator.defaultLanguage (.setlang or .config set)
+    this.configSchema = {
+      defaultLanguage: {
+        type: 'string',
+        default: 'en',
+        pattern: LANGUAGE_PATTERN,
+        description: 'Language .tr translates to when none is given',
+      },
+    };
     this.defaultLanguage = 'en';
 
     // Command definitions
@@ -25,6 +49,10 @@ class TranslateModule {
         description: 'Translates text or a replied message to the default or specified language.',
         usage: '.tr [lang] <text> OR reply with .tr [lang]',
         aliases: ['translate'],
+        args: [
+          { name: 'lang', type: 'string', optional: true, pattern: LANGUAGE_PATTERN },
+          { name: 'text', type: 'string', rest: true, optional: true },
+        ],
         permissions: 'public',
         ui: {
           processingText: '🌐 Translating...',
@@ -37,6 +65,9 @@ class TranslateModule {
         description: 'Sets the default language for translations.',
         usage: '.setlang <lang>',
         permissions: 'public',
+        args: [
+          { name: 'lang', type: 'string', pattern: LANGUAGE_PATTERN },
+        ],
         ui: {
           processingText: '⚙️ Setting language...',
           errorText: '❌ Failed to set language',
@@ -51,41 +82,51 @@ class TranslateModule {
     };
   }
 
+  /**
+   * Reads the default language and follows later changes to it. A language
+   * saved by older versions in module storage moves to the config.
+   */
+  async init() {
+    const saved = await this.storage.get('defaultLanguage');
+    if (saved) {
+      await this.config.set('defaultLanguage', saved);
+      await this.storage.delete('defaultLanguage');
+    }
+
+    this.defaultLanguage = this.config.get('defaultLanguage');
+    this.config.onChange('defaultLanguage', (value) => {
+      this.defaultLanguage = value;
+    });
+  }
+
   /**
    * Translates text or a replied message to the specified or default language.
    * @param {object} msg - The message object from Baileys.
    * @param {string[]} params - Command parameters.
-   * @param {object} context - Additional context.
+   * @param {object} context - Additional context; `context.args` holds the parsed `lang` and `text`.
    * @returns {Promise<string>} The translated text.
    */
   async translateCommand(msg, params, context) {
-    let targetLanguage;
-    let textToTranslate;
+    let targetLanguage = context.args.lang;
+    let textToTranslate = context.args.text;
 
     // Check if replying to a message
-    const quotedMsg = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
-    if (quotedMsg) {
-      textToTranslate =
-        quotedMsg.conversation ||
-        quotedMsg.extendedTextMessage?.text ||
-        quotedMsg.imageMessage?.caption ||
-        quotedMsg.videoMessage?.caption;
+    const { quoted } = normalizeMessage(msg);
+    if (quoted) {
+      textToTranslate = quoted.text;
 
       if (!textToTranslate) {
         return '❌ No text found in the replied message.';
       }
 
-      targetLanguage = params[0] || this.defaultLanguage;
-    } else if (params.length >= 1) {
-      // If first param isn't a language code, treat it as text
-      const possibleLang = params[0].toLowerCase();
-      if (params.length === 1 || possibleLang.length > 2) {
-        textToTranslate = params.join(' ');
-        targetLanguage = this.defaultLanguage;
-      } else {
-        targetLanguage = params.shift();
-        textToTranslate = params.join(' ');
+      targetLanguage = targetLanguage || this.defaultLanguage;
+    } else if (textToTranslate || targetLanguage) {
+      // A lone short word such as `.tr hi` is text, not a language code
+      if (!textToTranslate) {
+        textToTranslate = targetLanguage;
+        targetLanguage = null;
       }
+      targetLanguage = targetLanguage || this.defaultLanguage;
     } else {
       return '❌ Usage: .tr [lang] <text> or reply with .tr [lang]';
     }
@@ -101,17 +142,12 @@ class TranslateModule {
   /**
    * Sets the default translation language.
    * @param {object} msg - The message object from Baileys.
-   * @param {string[]} params - Command parameters (language code).
-   * @param {object} context - Additional context.
+   * @param {string[]} params - Command parameters.
+   * @param {object} context - Additional context; `context.args.lang` holds the language code.
    * @returns {string} Confirmation message.
    */
   async setLanguage(msg, params, context) {
-    if (params.length !== 1) {
-      return '❌ Usage: .setlang <lang> (e.g., .setlang es)';
-    }
-
-    const langCode = params[0].toLowerCase();
-    this.defaultLanguage = langCode;
+    const langCode = await this.config.set('defaultLanguage', context.args.lang.toLowerCase());
     return ` Default language set to ${langCode}.`;
   }
 
@@ -11,9 +11,11 @@ class WeatherModule {
             category: 'utility'
         };
 
-        // Default config
-        this.defaultCity = "kahror pakka, PK"; 
-        this.apiKey = "3ec738bcb912c44a805858054ead1efd"; 
+        // Set with .config set weather.<key> <value>
+        this.configSchema = {
+            apiKey: { type: 'string', required: true, secret: true, description: 'OpenWeatherMap API key' },
+            defaultCity: { type: 'string', default: 'kahror pakka, PK', description: 'City used when none is given' }
+        };
 
         this.commands = [
             {
@@ -31,12 +33,8 @@ class WeatherModule {
     }
 
     async getWeather(msg, params) {
-        if (!this.apiKey || this.apiKey === "YOUR_OPENWEATHERMAP_API_KEY") {
-            return "❌ Weather API key is missing. Please add it in weather.js.";
-        }
-
         let days = 0;
-        let city = this.defaultCity;
+        let city = this.config.get('defaultCity');
 
         // Parse params
         if (params.length > 0) {
@@ -63,7 +61,7 @@ class WeatherModule {
     }
 
     async getCurrentWeather(city) {
-        const url = `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(city)}&appid=${this.apiKey}&units=metric`;
+        const url = `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(city)}&appid=${this.config.get('apiKey')}&units=metric`;
         const { data } = await axios.get(url);
 
         return `🌤️ *Current Weather in ${data.name}, ${data.sys.country}:*\n
@@ -77,7 +75,7 @@ class WeatherModule {
     async getForecast(city, days) {
         if (days < 1) days = 1;
         if (days > 7) days = 7; // limit for free tier
-        const url = `https://api.openweathermap.org/data/2.5/forecast?q=${encodeURIComponent(city)}&appid=${this.apiKey}&units=metric`;
+        const url = `https://api.openweathermap.org/data/2.5/forecast?q=${encodeURIComponent(city)}&appid=${this.config.get('apiKey')}&units=metric`;
         const { data } = await axios.get(url);
 
         // Group forecasts by day
@@ -3,6 +3,7 @@ const TelegramCommands = require('./commands');
 const config = require('../config');
 const logger = require('../Core/logger');
 const { connectDb } = require('../utils/db');
+const { normalizeMessage } = require('../utils/messageNormalizer');
 const fs = require('fs-extra');
 const path = require('path');
 const axios = require('axios');
@@ -386,7 +387,7 @@ async clearFilters() {
             if (!isVerified) {
                 // 🔒 If waiting for password
                 if (this.awaitingPassword.has(chatId)) {
-                    if (msg.text?.trim() === BOT_PASSWORD) {
+                    if (BOT_PASSWORD && msg.text?.trim() === BOT_PASSWORD) {
                         // ✅ Store verified user
                         await this.collection.insertOne({
                             type: 'userChat',
@@ -648,6 +649,9 @@ async sendStartMessage() {
     async syncMessage(whatsappMsg, text) {
         if (!this.telegramBot || !config.get('telegram.enabled')) return;
 
+        // Sync the unwrapped content so ephemeral, view-once and captioned documents forward like plain messages
+        whatsappMsg = { ...whatsappMsg, message: normalizeMessage(whatsappMsg).content };
+
         const sender = whatsappMsg.key.remoteJid;
         const participant = whatsappMsg.key.participant || sender;
         const isFromMe = whatsappMsg.key.fromMe;
@@ -668,21 +672,14 @@ async sendStartMessage() {
         await this.createUserMapping(participant, whatsappMsg);
         const topicId = await this.getOrCreateTopic(sender, whatsappMsg);
         
-        if (whatsappMsg.message?.ptvMessage || (whatsappMsg.message?.videoMessage?.ptv)) {
+        const { type } = normalizeMessage(whatsappMsg);
+        if (type === 'ptv') {
             await this.handleWhatsAppMedia(whatsappMsg, 'video_note', topicId);
-        } else if (whatsappMsg.message?.imageMessage) {
-            await this.handleWhatsAppMedia(whatsappMsg, 'image', topicId);
-        } else if (whatsappMsg.message?.videoMessage) {
-            await this.handleWhatsAppMedia(whatsappMsg, 'video', topicId);
-        } else if (whatsappMsg.message?.audioMessage) {
-            await this.handleWhatsAppMedia(whatsappMsg, 'audio', topicId);
-        } else if (whatsappMsg.message?.documentMessage) {
-            await this.handleWhatsAppMedia(whatsappMsg, 'document', topicId);
-        } else if (whatsappMsg.message?.stickerMessage) {
-            await this.handleWhatsAppMedia(whatsappMsg, 'sticker', topicId);
-        } else if (whatsappMsg.message?.locationMessage) { 
+        } else if (['image', 'video', 'audio', 'document', 'sticker'].includes(type)) {
+            await this.handleWhatsAppMedia(whatsappMsg, type, topicId);
+        } else if (type === 'location') {
             await this.handleWhatsAppLocation(whatsappMsg, topicId);
-        } else if (whatsappMsg.message?.contactMessage) { 
+        } else if (type === 'contact') {
             await this.handleWhatsAppContact(whatsappMsg, topicId);
         } else if (text) {
             let messageText = text;
@@ -856,33 +853,21 @@ async forwardStatusMedia(whatsappMsg, topicId, caption, mediaType) {
 }
 
 getMediaType(msg) {
-    if (msg.message?.imageMessage) return 'image';
-    if (msg.message?.videoMessage) return 'video';
-    if (msg.message?.audioMessage) return 'audio';
-    if (msg.message?.documentMessage) return 'document';
-    if (msg.message?.stickerMessage) return 'sticker';
-    if (msg.message?.locationMessage) return 'location';
-    if (msg.message?.contactMessage) return 'contact';
+    const { type } = normalizeMessage(msg);
+    if (['image', 'video', 'audio', 'document', 'sticker', 'location', 'contact'].includes(type)) return type;
     return 'text';
 }
        async syncOutgoingMessage(whatsappMsg, text, topicId, sender) {
             if (!config.get('telegram.features.sendOutgoingMessages')) return;
         try {
-            if (whatsappMsg.message?.ptvMessage || (whatsappMsg.message?.videoMessage?.ptv)) {
+            const { type } = normalizeMessage(whatsappMsg);
+            if (type === 'ptv') {
                 await this.handleWhatsAppMedia(whatsappMsg, 'video_note', topicId, true);
-            } else if (whatsappMsg.message?.imageMessage) {
-                await this.handleWhatsAppMedia(whatsappMsg, 'image', topicId, true);
-            } else if (whatsappMsg.message?.videoMessage) {
-                await this.handleWhatsAppMedia(whatsappMsg, 'video', topicId, true);
-            } else if (whatsappMsg.message?.audioMessage) {
-                await this.handleWhatsAppMedia(whatsappMsg, 'audio', topicId, true);
-            } else if (whatsappMsg.message?.documentMessage) {
-                await this.handleWhatsAppMedia(whatsappMsg, 'document', topicId, true);
-            } else if (whatsappMsg.message?.stickerMessage) {
-                await this.handleWhatsAppMedia(whatsappMsg, 'sticker', topicId, true);
-            } else if (whatsappMsg.message?.locationMessage) { 
+            } else if (['image', 'video', 'audio', 'document', 'sticker'].includes(type)) {
+                await this.handleWhatsAppMedia(whatsappMsg, type, topicId, true);
+            } else if (type === 'location') {
                 await this.handleWhatsAppLocation(whatsappMsg, topicId, true);
-            } else if (whatsappMsg.message?.contactMessage) { 
+            } else if (type === 'contact') {
                 await this.handleWhatsAppContact(whatsappMsg, topicId, true);
             } else if (text) {
                 const messageText = `📤 You: ${text}`;
@@ -1955,13 +1940,7 @@ async handleWhatsAppContact(whatsappMsg, topicId, isOutgoing = false) {
     }
 
     extractText(msg) {
-        return msg.message?.conversation ||
-               msg.message?.extendedTextMessage?.text ||
-               msg.message?.imageMessage?.caption ||
-               msg.message?.videoMessage?.caption ||
-               msg.message?.documentMessage?.caption ||
-               msg.message?.audioMessage?.caption ||
-               '';
+        return normalizeMessage(msg).text;
     }
 
     async syncWhatsAppConnection() {
@@ -1,17 +1,21 @@
 const config = require('../config');
 const { MongoClient } = require('mongodb');
 
-const MONGO_URI = config.get('mongo.uri');
-const DB_NAME = config.get('mongo.dbName');
-const OPTIONS = config.get('mongo.options');
-
-const client = new MongoClient(MONGO_URI, OPTIONS);
+let client = null;
 
+// The client is made on first use so mongo.uri can come from a config file or the environment
 async function connectDb() {
+    if (!client) {
+        const uri = config.get('mongo.uri');
+        if (!uri) {
+            throw new Error('mongo.uri is not set (HYPERWA_MONGO__URI)');
+        }
+        client = new MongoClient(uri, config.get('mongo.options'));
+    }
     if (!client.topology?.isConnected()) {
         await client.connect();
     }
-    return client.db(DB_NAME);
+    return client.db(config.get('mongo.dbName'));
 }
 
 module.exports = { connectDb };
@@ -0,0 +1,212 @@
+const { downloadContentFromMessage } = require('@whiskeysockets/baileys');
+
+// Content keys that carry downloadable media, with the type Baileys downloads them as
+const MEDIA_KEYS = {
+    imageMessage: { type: 'image', download: 'image' },
+    videoMessage: { type: 'video', download: 'video' },
+    ptvMessage: { type: 'ptv', download: 'video' },
+    audioMessage: { type: 'audio', download: 'audio' },
+    documentMessage: { type: 'document', download: 'document' },
+    stickerMessage: { type: 'sticker', download: 'sticker' }
+};
+
+const OTHER_TYPES = {
+    conversation: 'text',
+    extendedTextMessage: 'text',
+    locationMessage: 'location',
+    liveLocationMessage: 'liveLocation',
+    contactMessage: 'contact',
+    contactsArrayMessage: 'contacts',
+    pollCreationMessage: 'poll',
+    pollCreationMessageV2: 'poll',
+    pollCreationMessageV3: 'poll',
+    reactionMessage: 'reaction',
+    buttonsResponseMessage: 'buttonResponse',
+    templateButtonReplyMessage: 'buttonResponse',
+    listResponseMessage: 'listResponse',
+    interactiveResponseMessage: 'buttonResponse',
+    protocolMessage: 'protocol'
+};
+
+const cache = new WeakMap();
+
+/**
+ * Strip the envelopes WhatsApp puts around the real content.
+ * @param {object} message - `msg.message` from Baileys.
+ * @returns {{content: object, ephemeral: boolean, viewOnce: boolean, edited: boolean}}
+ */
+function unwrapMessage(message) {
+    let content = message || {};
+    const flags = { ephemeral: false, viewOnce: false, edited: false };
+
+    // Wrappers can nest (an ephemeral view-once image), so peel until nothing changes
+    for (let depth = 0; depth < 10; depth++) {
+        if (content.ephemeralMessage?.message) {
+            flags.ephemeral = true;
+            content = content.ephemeralMessage.message;
+        } else if (content.viewOnceMessage?.message || content.viewOnceMessageV2?.message || content.viewOnceMessageV2Extension?.message) {
+            flags.viewOnce = true;
+            content = (content.viewOnceMessage || content.viewOnceMessageV2 || content.viewOnceMessageV2Extension).message;
+        } else if (content.documentWithCaptionMessage?.message) {
+            content = content.documentWithCaptionMessage.message;
+        } else if (content.editedMessage?.message) {
+            flags.edited = true;
+            content = content.editedMessage.message;
+        } else if (content.protocolMessage?.editedMessage) {
+            flags.edited = true;
+            content = content.protocolMessage.editedMessage;
+        } else if (content.deviceSentMessage?.message) {
+            content = content.deviceSentMessage.message;
+        } else {
+            break;
+        }
+    }
+
+    return { content, ...flags };
+}
+
+function getContentKey(content) {
+    const keys = Object.keys(content).filter(key => key !== 'messageContextInfo' && content[key] != null);
+    return keys.find(key => MEDIA_KEYS[key]) || keys.find(key => OTHER_TYPES[key]) || keys[0] || null;
+}
+
+function getSelection(content) {
+    if (content.buttonsResponseMessage) {
+        const r = content.buttonsResponseMessage;
+        return { id: r.selectedButtonId, text: r.selectedDisplayText };
+    }
+    if (content.templateButtonReplyMessage) {
+        const r = content.templateButtonReplyMessage;
+        return { id: r.selectedId, text: r.selectedDisplayText };
+    }
+    if (content.listResponseMessage) {
+        const r = content.listResponseMessage;
+        return { id: r.singleSelectReply?.selectedRowId, text: r.title };
+    }
+    if (content.interactiveResponseMessage) {
+        const r = content.interactiveResponseMessage;
+        let id = null;
+        try {
+            id = JSON.parse(r.nativeFlowResponseMessage?.paramsJson || '{}').id || null;
+        } catch {
+            // Malformed params, fall back to the body text
+        }
+        return { id, text: r.body?.text };
+    }
+    return null;
+}
+
+function getText(content, contentKey, selection) {
+    if (selection) return selection.id || selection.text || '';
+
+    // A reaction's emoji or a protocol stub is not something the sender "said"
+    if (contentKey === 'reactionMessage' || contentKey === 'protocolMessage') return '';
+
+    const node = content[contentKey];
+    if (typeof node === 'string') return node;
+
+    return node?.text ||
+           node?.caption ||
+           node?.name ||                                  // poll question
+           content.extendedTextMessage?.text ||
+           '';
+}
+
+function buildMedia(content, contentKey) {
+    const spec = MEDIA_KEYS[contentKey];
+    if (!spec) return null;
+
+    const node = content[contentKey];
+    const type = contentKey === 'videoMessage' && node.ptv ? 'ptv' : spec.type;
+
+    return {
+        type,
+        message: node,
+        mimetype: node.mimetype || null,
+        fileName: node.fileName || null,
+        fileLength: node.fileLength != null ? Number(node.fileLength) : null,
+        seconds: node.seconds || null,
+        caption: node.caption || '',
+        ptt: !!node.ptt,
+        isAnimated: !!node.isAnimated,
+        download: async () => {
+            const stream = await downloadContentFromMessage(node, spec.download);
+            const chunks = [];
+            for await (const chunk of stream) {
+                chunks.push(chunk);
+            }
+            return Buffer.concat(chunks);
+        }
+    };
+}
+
+/**
+ * One consistent view of any Baileys message.
+ *
+ * Unwraps ephemeral, view-once (v1/v2), edited and document-with-caption
+ * envelopes, reads text from captions and button/list replies, and describes
+ * media, the quoted message and mentions. Results are cached per message object.
+ *
+ * @param {object} msg - Baileys `WAMessage` (`{ key, message, ... }`).
+ * @returns {{
+ *   key: object, chatId: string, sender: string, fromMe: boolean, isGroup: boolean, pushName: ?string,
+ *   type: string, text: string, content: object, ephemeral: boolean, viewOnce: boolean, edited: boolean,
+ *   media: ?object, hasMedia: boolean, selection: ?object, contextInfo: ?object,
+ *   mentions: string[], quoted: ?object, download: Function
+ * }}
+ */
+function normalizeMessage(msg) {
+    if (!msg) return normalizeMessage({ key: {}, message: null });
+    if (cache.has(msg)) return cache.get(msg);
+
+    const key = msg.key || {};
+    const chatId = key.remoteJid || '';
+    const { content, ephemeral, viewOnce, edited } = unwrapMessage(msg.message);
+    const contentKey = getContentKey(content);
+    const selection = getSelection(content);
+    const media = buildMedia(content, contentKey);
+    const node = contentKey ? content[contentKey] : null;
+    const contextInfo = (node && typeof node === 'object' && node.contextInfo) || null;
+
+    const normalized = {
+        key,
+        chatId,
+        sender: key.fromMe ? 'me' : (key.participant || chatId),
+        fromMe: !!key.fromMe,
+        isGroup: chatId.endsWith('@g.us'),
+        pushName: msg.pushName || null,
+        type: media?.type || OTHER_TYPES[contentKey] || (contentKey ? 'unknown' : 'empty'),
+        text: getText(content, contentKey, selection),
+        content,
+        ephemeral,
+        viewOnce,
+        edited,
+        media,
+        hasMedia: !!media,
+        selection,
+        contextInfo,
+        mentions: contextInfo?.mentionedJid || [],
+        quoted: null,
+        download: async () => {
+            if (!media) throw new Error('Message has no media');
+            return media.download();
+        }
+    };
+
+    if (contextInfo?.quotedMessage) {
+        normalized.quoted = normalizeMessage({
+            key: {
+                remoteJid: contextInfo.remoteJid || chatId,
+                id: contextInfo.stanzaId,
+                participant: contextInfo.participant,
+                fromMe: false
+            },
+            message: contextInfo.quotedMessage
+        });
+    }
+
+    cache.set(msg, normalized);
+    return normalized;
+}
+
+module.exports = { normalizeMessage, unwrapMessage };
@@ -7,6 +7,8 @@ class MongoConfig {
         this.collection = null;
         this.cache = new Map();
         this.initialized = false;
+        this.changeStream = null;
+        this.pollTimer = null;
     }
 
     async init() {
@@ -34,9 +36,7 @@ class MongoConfig {
     async loadAllSettings() {
         try {
             const settings = await this.collection.find({}).toArray();
-            for (const setting of settings) {
-                this.cache.set(setting.key, setting.value);
-            }
+            this.cache = new Map(settings.map(setting => [setting.key, setting.value]));
             logger.info(`📥 Loaded ${settings.length} settings from MongoDB`);
         } catch (error) {
             logger.error(`❌ Failed to load settings from MongoDB: ${error.message}`);
@@ -44,6 +44,58 @@ class MongoConfig {
         }
     }
 
+    /**
+     * Follow changes other processes make to the settings. Uses a change
+     * stream, or polls every `pollInterval` ms where the server has none
+     * (standalone servers).
+     * @param {Function} onChange - Called after the cache was refreshed.
+     * @param {number} [pollInterval]
+     */
+    watch(onChange, pollInterval = 30000) {
+        const refresh = async () => {
+            const settings = await this.collection.find({}).toArray();
+            this.cache = new Map(settings.map(setting => [setting.key, setting.value]));
+            onChange();
+        };
+
+        const poll = () => {
+            if (this.pollTimer || !pollInterval) return;
+            this.pollTimer = setInterval(() => {
+                refresh().catch(error => logger.warn(`⚠️ Config poll failed: ${error.message}`));
+            }, pollInterval);
+            this.pollTimer.unref();
+        };
+
+        try {
+            const stream = this.collection.watch();
+            this.changeStream = stream;
+            stream.on('change', () => {
+                refresh().catch(error => logger.warn(`⚠️ Config refresh failed: ${error.message}`));
+            });
+            stream.on('error', (error) => {
+                logger.warn(`⚠️ Config change stream unavailable (${error.message}), polling every ${pollInterval}ms`);
+                stream.close().catch(() => {});
+                if (this.changeStream !== stream) return;
+                this.changeStream = null;
+                poll();
+            });
+        } catch (error) {
+            logger.warn(`⚠️ Config change stream unavailable (${error.message}), polling every ${pollInterval}ms`);
+            poll();
+        }
+    }
+
+    async unwatch() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (this.changeStream) {
+            await this.changeStream.close().catch(() => {});
+            this.changeStream = null;
+        }
+    }
+
     get(key, defaultValue = undefined) {
         if (!this.initialized) {
             logger.warn('⚠️ MongoDB config not initialized, returning default value');